@@ -1,99 +1,521 @@
 const fs = require('fs');
 const path = require('path');
+const axios = require('axios');
+const { getConfig } = require('./config');
+const { createLogger } = require('./logger');
+
+const log = createLogger('cache');
 
 const CACHE_PATH = path.join(__dirname, '.cache.json');
+const BACKUP_PATH = `${CACHE_PATH}.bak`;
+const TEMP_PATH = `${CACHE_PATH}.${process.pid}.tmp`;
+const SAVE_DEBOUNCE_MS = 1000;  // Coalesce bursts of writes into one disk write
 
-// Default cache structure
-const DEFAULT_CACHE = {};
+// In-memory cache (Map keeps insertion order, used for LRU eviction)
+let memoryCache = null;
+let saveTimer = null;
 
-// Load cache from disk
+// Read and parse a cache file into a Map (throws on corrupt JSON)
+function readCacheFile(filePath) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Cache file does not contain an object');
+    }
+    return new Map(Object.entries(data));
+}
+
+// Load cache from disk into memory (only once - afterwards the in-memory cache is used)
+// A corrupt cache file is kept aside and the last good backup is restored instead of wiping everything
 function loadCache() {
+    if (memoryCache) {
+        return memoryCache;
+    }
+    
     try {
-        if (fs.existsSync(CACHE_PATH)) {
-            const cacheData = fs.readFileSync(CACHE_PATH, 'utf8');
-            return JSON.parse(cacheData);
-        }
-        return DEFAULT_CACHE;
+        memoryCache = fs.existsSync(CACHE_PATH) ? readCacheFile(CACHE_PATH) : null;
     } catch (error) {
-        console.error('❌ Error loading cache:', error.message);
-        return DEFAULT_CACHE;
+        const corruptPath = `${CACHE_PATH}.corrupt-${Date.now()}`;
+        log.error(`❌ Error loading cache: ${error.message}`);
+        try {
+            fs.renameSync(CACHE_PATH, corruptPath);
+            log.info(`   💡 Corrupt cache kept as ${path.basename(corruptPath)}`);
+        } catch (renameError) {
+            log.error(`❌ Could not move corrupt cache aside: ${renameError.message}`);
+        }
     }
+    
+    if (!memoryCache && fs.existsSync(BACKUP_PATH)) {
+        try {
+            memoryCache = readCacheFile(BACKUP_PATH);
+            log.info(`💾 Restored cache from backup (${memoryCache.size} entries)`);
+        } catch (error) {
+            log.error(`❌ Error loading cache backup: ${error.message}`);
+        }
+    }
+    
+    if (!memoryCache) {
+        memoryCache = new Map();
+    }
+    return memoryCache;
 }
 
-// Save cache to disk
-function saveCache(cache) {
+// Write cache to disk atomically (write temp file, keep previous file as backup, rename)
+function flushCache() {
+    if (saveTimer) {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+    }
+    if (!memoryCache) {
+        return true;
+    }
+    
     try {
-        fs.writeFileSync(CACHE_PATH, JSON.stringify(cache, null, 2));
+        fs.writeFileSync(TEMP_PATH, JSON.stringify(Object.fromEntries(memoryCache), null, 2));
+        if (fs.existsSync(CACHE_PATH)) {
+            fs.renameSync(CACHE_PATH, BACKUP_PATH);
+        }
+        fs.renameSync(TEMP_PATH, CACHE_PATH);
         return true;
     } catch (error) {
-        console.error('❌ Error saving cache:', error.message);
+        log.error('❌ Error saving cache:', error.message);
         return false;
     }
 }
 
+// Schedule a debounced save to disk
+function saveCache() {
+    if (saveTimer) {
+        return;
+    }
+    saveTimer = setTimeout(flushCache, SAVE_DEBOUNCE_MS);
+    // Don't keep the process alive just for a pending cache write
+    saveTimer.unref();
+}
+
+// Mark an entry as recently used (moves it to the end of the LRU order)
+function touchEntry(cache, key) {
+    const entry = cache.get(key);
+    cache.delete(key);
+    cache.set(key, entry);
+}
+
+// Evict least recently used entries above the configured size cap
+function enforceSizeCap(cache) {
+    const { maxEntries } = getConfig().cache;
+    let evicted = 0;
+    for (const key of cache.keys()) {
+        if (cache.size <= maxEntries) {
+            break;
+        }
+        cache.delete(key);
+        evicted++;
+    }
+    if (evicted > 0) {
+        log.info(`💾 Evicted ${evicted} least recently used cache entries (max ${maxEntries})`);
+    }
+}
+
+// Get TTLs (in milliseconds) from config
+function getCacheTtls() {
+    const { cache } = getConfig();
+    return {
+        streams: cache.streamTtlMinutes * 60 * 1000,
+        resolve: cache.resolveTtlMinutes * 60 * 1000
+    };
+}
+
+// Check if a cache entry has expired
+// Entries from older versions (plain stream arrays) have no expiry metadata and count as expired
+function isExpired(entry, now = Date.now()) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        return true;
+    }
+    return !entry.expiresAt || entry.expiresAt <= now;
+}
+
+// Remove expired entries from the cache (returns number of removed entries)
+function pruneExpired(cache) {
+    const now = Date.now();
+    let removed = 0;
+    for (const [key, entry] of cache) {
+        if (isExpired(entry, now)) {
+            cache.delete(key);
+            removed++;
+        }
+    }
+    return removed;
+}
+
 // Generate cache key from IMDB ID, season, and episode
-function getCacheKey(imdbId, season, episode) {
-    return `${imdbId}:${season}:${episode}`;
+// variant separates stream lists of users with another debrid provider or hoster preferences
+function getCacheKey(imdbId, season, episode, variant) {
+    const key = `${imdbId}:${season}:${episode}`;
+    return variant ? `${key}@${variant}` : key;
 }
 
-// Get cached streams for a given IMDB ID, season, and episode
-function getCachedStreams(imdbId, season, episode) {
+// Generate cache key for a movie from its IMDB ID
+function getMovieCacheKey(imdbId, variant) {
+    const key = `movie:${imdbId}`;
+    return variant ? `${key}@${variant}` : key;
+}
+
+// Generate negative cache key (failed lookup) for a stream cache key
+function getFailureKey(key) {
+    return `failure:${key}`;
+}
+
+// Generate cache key for a lazy stream resolve token
+function getResolveKey(token) {
+    return `resolve:${token}`;
+}
+
+// Resolve tokens whose hoster links were checked recently are not checked again
+const LINK_CHECK_INTERVAL_MS = 10 * 60 * 1000;  // 10 minutes
+const LINK_CHECK_TIMEOUT_MS = 5000;
+
+// Cheap check of a hoster link: true when available, false when gone, null when unknown
+// Uses the debrid provider's link check when it has one, else a HEAD request on the hoster page
+// (only 404/410 count as dead there, hosters often answer a removed file with a 200 page)
+async function checkHosterLink(link, provider) {
+    if (provider?.checkLink) {
+        return provider.checkLink(link, { signal: AbortSignal.timeout(LINK_CHECK_TIMEOUT_MS) });
+    }
+    
+    try {
+        const response = await axios.head(link, {
+            timeout: LINK_CHECK_TIMEOUT_MS,
+            maxRedirects: 5,
+            validateStatus: () => true
+        });
+        return response.status === 404 || response.status === 410 ? false : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Check the hoster links behind a resolve token, the chosen one first
+// The token stays alive while any of its links is not known to be dead
+async function isResolveEntryAlive(entry, provider) {
+    if (isExpired(entry)) {
+        return false;
+    }
+    if (entry.checkedAt && Date.now() - entry.checkedAt < LINK_CHECK_INTERVAL_MS) {
+        return true;
+    }
+    
+    const links = [entry.link, ...(entry.fallbacks || []).map(fallback => fallback.link)].filter(Boolean);
+    for (const link of links) {
+        if (await checkHosterLink(link, provider) !== false) {
+            entry.checkedAt = Date.now();
+            return true;
+        }
+        log.debug(`💾 Hoster link is dead: ${link}`);
+    }
+    return false;
+}
+
+// Cheap liveness check for a cached stream URL
+// Relative /resolve URLs check the hoster links behind their token, absolute URLs get a short HEAD request
+async function isStreamAlive(stream, cache, provider) {
+    if (!stream || !stream.url) {
+        return false;
+    }
+    
+    const resolveMatch = stream.url.match(/^\/resolve\/([^/?#]+)/);
+    if (resolveMatch) {
+        return isResolveEntryAlive(cache.get(getResolveKey(resolveMatch[1])), provider);
+    }
+    
+    try {
+        const response = await axios.head(stream.url, {
+            timeout: LINK_CHECK_TIMEOUT_MS,
+            maxRedirects: 5,
+            validateStatus: () => true
+        });
+        return response.status < 400;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Get a stream entry by key, revalidating its streams before handing them out
+// Returns null on a miss, an expired entry or when every cached stream is dead (caller resolves fresh)
+// provider (optional) is the debrid provider used to check the hoster links behind resolve tokens
+async function getValidatedEntry(key, provider) {
     const cache = loadCache();
-    const key = getCacheKey(imdbId, season, episode);
+    const entry = cache.get(key);
+    
+    if (!entry) {
+        log.debug(`💾 Cache miss for ${key}`);
+        return null;
+    }
     
-    if (cache[key]) {
-        console.log(`💾 Cache hit for ${key}`);
-        return cache[key];
+    if (isExpired(entry)) {
+        log.debug(`💾 Cache expired for ${key}`);
+        cache.delete(key);
+        saveCache();
+        return null;
     }
     
-    console.log(`💾 Cache miss for ${key}`);
-    return null;
+    const alive = await Promise.all(entry.streams.map(stream => isStreamAlive(stream, cache, provider)));
+    const streams = entry.streams.filter((_, i) => alive[i]);
+    
+    if (streams.length === 0) {
+        log.info(`💾 Cache hit for ${key}, but all ${entry.streams.length} streams are dead - resolving fresh`);
+        cache.delete(key);
+        saveCache();
+        return null;
+    }
+    
+    if (streams.length < entry.streams.length) {
+        log.info(`💾 Cache hit for ${key}, dropped ${entry.streams.length - streams.length} dead stream(s)`);
+        entry.sources = (entry.sources || []).filter((_, i) => alive[i]);
+        entry.streams = streams;
+    } else {
+        log.debug(`💾 Cache hit for ${key}`);
+    }
+    
+    touchEntry(cache, key);
+    saveCache();
+
+    return streams;
 }
 
-// Store streams in cache for a given IMDB ID, season, and episode
-function setCachedStreams(imdbId, season, episode, streams) {
+// Store a stream entry with expiry metadata
+// sources is aligned with streams: [{ host, release }] describing where each stream came from
+function setEntry(key, streams, sources) {
     if (!streams || streams.length === 0) {
         // Don't cache empty results
         return;
     }
     
     const cache = loadCache();
-    const key = getCacheKey(imdbId, season, episode);
+    const now = Date.now();
+    pruneExpired(cache);
     
-    cache[key] = streams;
-    saveCache(cache);
-    console.log(`💾 Cached ${streams.length} streams for ${key}`);
+    cache.delete(key);
+    cache.delete(getFailureKey(key));
+    cache.set(key, {
+        createdAt: now,
+        expiresAt: now + getCacheTtls().streams,
+        streams,
+        sources: sources || []
+    });
+    enforceSizeCap(cache);
+    saveCache();
+    log.info(`💾 Cached ${streams.length} streams for ${key}`);
+}
+
+// Get cached streams for a given IMDB ID, season, and episode
+async function getCachedStreams(imdbId, season, episode, variant, provider) {
+    return getValidatedEntry(getCacheKey(imdbId, season, episode, variant), provider);
+}
+
+// Check if unexpired streams are cached for an episode (without revalidating them)
+function hasCachedStreams(imdbId, season, episode, variant) {
+    return !isExpired(loadCache().get(getCacheKey(imdbId, season, episode, variant)));
+}
+
+// Store streams in cache for a given IMDB ID, season, and episode
+function setCachedStreams(imdbId, season, episode, streams, sources, variant) {
+    setEntry(getCacheKey(imdbId, season, episode, variant), streams, sources);
+}
+
+// Get cached streams for a movie
+async function getCachedMovieStreams(imdbId, variant, provider) {
+    return getValidatedEntry(getMovieCacheKey(imdbId, variant), provider);
+}
+
+// Store streams in cache for a movie
+function setCachedMovieStreams(imdbId, streams, sources, variant) {
+    setEntry(getMovieCacheKey(imdbId, variant), streams, sources);
+}
+
+// Get the negative cache TTL (ms) for a failure reason code
+// Reasons without a configured TTL (transient errors) are not cached and return 0
+function getFailureTtl(reason) {
+    const minutes = getConfig().cache.negativeTtlMinutes[reason];
+    return minutes > 0 ? minutes * 60 * 1000 : 0;
+}
+
+// Get a recent failure ({ stage, reason, message }) for a stream cache key
+function getCachedFailure(key) {
+    if (!key) {
+        return null;
+    }
+    
+    const cache = loadCache();
+    const failureKey = getFailureKey(key);
+    const entry = cache.get(failureKey);
+    if (!entry) {
+        return null;
+    }
+    if (isExpired(entry)) {
+        cache.delete(failureKey);
+        saveCache();
+        return null;
+    }
+    return entry.failure;
+}
+
+// Store a failed lookup with a TTL depending on its reason
+// e.g. "no post yet" expires quickly, "password protected" is remembered longer
+function setCachedFailure(key, failure) {
+    const ttl = getFailureTtl(failure.reason);
+    if (!key || ttl === 0) {
+        return;
+    }
+    
+    const cache = loadCache();
+    const now = Date.now();
+    const failureKey = getFailureKey(key);
+    cache.delete(failureKey);
+    cache.set(failureKey, {
+        createdAt: now,
+        expiresAt: now + ttl,
+        failure
+    });
+    enforceSizeCap(cache);
+    saveCache();
+    log.info(`💾 Cached failure for ${key}: ${failure.stage}/${failure.reason} (${Math.round(ttl / 60000)} min)`);
+}
+
+// Get the hoster link entry behind a resolve token
+function getResolveEntry(token) {
+    const cache = loadCache();
+    const key = getResolveKey(token);
+    const entry = cache.get(key);
+    if (isExpired(entry)) {
+        return null;
+    }
+    touchEntry(cache, key);
+    return entry;
+}
+
+// Store hoster link entries for resolve tokens ({ token: { link, host, release, fallbacks } })
+function setResolveEntries(entries) {
+    const tokens = Object.keys(entries);
+    if (tokens.length === 0) {
+        return;
+    }
+    
+    const cache = loadCache();
+    const now = Date.now();
+    const expiresAt = now + getCacheTtls().resolve;
+    for (const token of tokens) {
+        const key = getResolveKey(token);
+        cache.delete(key);
+        cache.set(key, { ...entries[token], createdAt: now, expiresAt });
+    }
+    enforceSizeCap(cache);
+    saveCache();
 }
 
 // Clear cache (useful for debugging or manual cache invalidation)
 function clearCache() {
+    if (saveTimer) {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+    }
+    memoryCache = new Map();
     try {
-        if (fs.existsSync(CACHE_PATH)) {
-            fs.unlinkSync(CACHE_PATH);
-            console.log('✅ Cache cleared');
+        for (const filePath of [CACHE_PATH, BACKUP_PATH]) {
+            if (fs.existsSync(filePath)) {
+                fs.unlinkSync(filePath);
+            }
         }
+        log.info('✅ Cache cleared');
     } catch (error) {
-        console.error('❌ Error clearing cache:', error.message);
+        log.error('❌ Error clearing cache:', error.message);
+    }
+}
+
+// List all cache entries with their metadata (without the stream lists themselves)
+// kind: 'streams', 'failure' or 'resolve'; most recently used entries last
+function listCacheEntries() {
+    const cache = loadCache();
+    const now = Date.now();
+    const entries = [];
+    for (const [key, entry] of cache) {
+        let kind = 'streams';
+        if (key.startsWith('failure:')) {
+            kind = 'failure';
+        } else if (key.startsWith('resolve:')) {
+            kind = 'resolve';
+        }
+        
+        const item = {
+            key,
+            kind,
+            createdAt: entry?.createdAt ? new Date(entry.createdAt).toISOString() : null,
+            expiresAt: entry?.expiresAt ? new Date(entry.expiresAt).toISOString() : null,
+            expired: isExpired(entry, now)
+        };
+        if (kind === 'streams') {
+            item.streams = entry?.streams?.length || 0;
+            item.hosts = [...new Set((entry?.sources || []).map(source => source.host).filter(Boolean))];
+        } else if (kind === 'failure') {
+            item.failure = entry?.failure || null;
+        } else {
+            item.host = entry?.host || null;
+            item.release = entry?.release || null;
+        }
+        entries.push(item);
+    }
+    return entries;
+}
+
+// Remove one entry by key (a stream key also drops its negative cache entry)
+// Returns the number of removed entries
+function invalidateCacheEntry(key) {
+    const cache = loadCache();
+    let removed = 0;
+    for (const entryKey of [key, getFailureKey(key)]) {
+        if (cache.delete(entryKey)) {
+            removed++;
+        }
+    }
+    if (removed > 0) {
+        saveCache();
+        log.info(`💾 Invalidated cache entry ${key}`);
     }
+    return removed;
 }
 
 // Get cache statistics
 function getCacheStats() {
     const cache = loadCache();
-    const keys = Object.keys(cache);
-    const totalStreams = keys.reduce((sum, key) => sum + (cache[key]?.length || 0), 0);
+    const now = Date.now();
+    const keys = Array.from(cache.keys());
+    const streamKeys = keys.filter(key => !key.startsWith('resolve:') && !key.startsWith('failure:'));
+    const totalStreams = streamKeys.reduce((sum, key) => sum + (cache.get(key)?.streams?.length || 0), 0);
     
     return {
-        entries: keys.length,
+        entries: streamKeys.length,
         totalStreams: totalStreams,
-        keys: keys
+        expiredEntries: keys.filter(key => isExpired(cache.get(key), now)).length,
+        resolveTokens: keys.filter(key => key.startsWith('resolve:')).length,
+        failures: keys.filter(key => key.startsWith('failure:')).length,
+        keys: streamKeys
     };
 }
 
 module.exports = {
     getCachedStreams,
+    hasCachedStreams,
     setCachedStreams,
     clearCache,
     getCacheStats,
-    getCacheKey
+    listCacheEntries,
+    invalidateCacheEntry,
+    getCacheKey,
+    getCachedMovieStreams,
+    setCachedMovieStreams,
+    getMovieCacheKey,
+    getCachedFailure,
+    setCachedFailure,
+    getFailureTtl,
+    getResolveEntry,
+    setResolveEntries,
+    flushCache
 };
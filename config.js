@@ -1,39 +1,121 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 
 const CONFIG_PATH = path.join(__dirname, 'config.json');
 
 // Default configuration
 const DEFAULT_CONFIG = {
+    debrid: {
+        provider: 'realdebrid',  // realdebrid, alldebrid, premiumize or debridlink
+        concurrency: 3,          // Fallback hoster unrestrict calls running in parallel (after the chosen hoster failed)
+        hosterTimeoutMs: 15000   // Deadline per hoster unrestrict call
+    },
     realdebrid: {
         apiKey: '',
         enabled: false
     },
+    alldebrid: {
+        apiKey: '',
+        enabled: false
+    },
+    premiumize: {
+        apiKey: '',
+        enabled: false
+    },
+    debridlink: {
+        apiKey: '',
+        enabled: false
+    },
     server: {
         port: 7004,
-        publicBaseUrl: ''
+        publicBaseUrl: '',
+        accessTokens: [],  // Secret path prefixes required for all addon routes (/<token>/manifest.json), generated when empty
+        allowUnauthenticated: false,  // Serve the addon without access token (only for setups that are never exposed)
+        adminToken: ''     // Bearer token for the /admin API (disabled when empty)
+    },
+    cache: {
+        streamTtlMinutes: 720,     // How long stream lists stay cached (12 hours)
+        resolveTtlMinutes: 10080,  // How long /resolve tokens stay valid (7 days)
+        maxEntries: 5000,          // Size cap, least recently used entries are evicted first
+        // Negative cache TTL per failure reason (reasons not listed here are never cached)
+        negativeTtlMinutes: {
+            no_post: 15,
+            no_multiup_link: 60,
+            invalid_multiup_link: 1440,
+            no_hoster_links: 30,
+            no_valid_hoster_links: 30,
+            no_supported_hosters: 30,
+            all_hosters_blocked: 30,
+            file_not_found: 720,
+            password_protected: 1440,
+            episode_not_in_pack: 60,
+            pack_archive: 60
+        }
+    },
+    prefetch: {
+        enabled: true  // Resolve the next episode in the background after a successful request
+    },
+    hosters: {
+        preferred: [],  // Hosters tried first, in this order (e.g. ["1fichier", "rapidgator"])
+        blocked: []     // Hosters never used
+    },
+    scnlog: {
+        minMatchScore: 0.8,         // Releases whose name matches the title less well (0-1) are rejected
+        confidentMatchScore: 0.95,  // A release matching this well ends the search, no further result pages are read
+        maxSearchPages: 3,          // Result pages read per search query
+        maxPagesPerRequest: 8,      // Result pages read per stream request, over all search queries
+        categories: ['foreign']     // scnlog.me categories (URL path) releases are accepted from
+    },
+    // Release names to search for per IMDB id, when scnlog uses another name than Cinemeta
+    // e.g. { "tt0123456": ["FC De Kampioenen"], "tt0234567": "Thuis" }
+    aliases: {},
+    // How episodes of a show are named in releases, per IMDB id: "episode" (Show.S01E05) or
+    // "date" (daily shows like Show.2024.10.18), shows not listed try both
+    releaseNaming: {},
+    logging: {
+        level: 'info',   // error, warn, info or debug (debug includes HTML previews of scraped pages)
+        format: 'text',  // text or json (one JSON object per line)
+        file: '',        // Also write to this file (relative to the addon folder), e.g. "logs/streamzio.log"
+        maxSizeMb: 10,   // Rotate the log file when it grows past this size
+        maxFiles: 5      // Rotated files to keep (streamzio.log.1 ... streamzio.log.5)
     }
 };
 
 // Load configuration
 function loadConfig() {
+    // Callers modify the returned config (env overrides, per-user settings), so never hand out DEFAULT_CONFIG itself
+    const defaults = structuredClone(DEFAULT_CONFIG);
     try {
         if (fs.existsSync(CONFIG_PATH)) {
             const config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
             return {
-                ...DEFAULT_CONFIG,
+                ...defaults,
                 ...config,
-                realdebrid: { ...DEFAULT_CONFIG.realdebrid, ...config.realdebrid },
-                server: { ...DEFAULT_CONFIG.server, ...config.server }
+                debrid: { ...defaults.debrid, ...config.debrid },
+                realdebrid: { ...defaults.realdebrid, ...config.realdebrid },
+                alldebrid: { ...defaults.alldebrid, ...config.alldebrid },
+                premiumize: { ...defaults.premiumize, ...config.premiumize },
+                debridlink: { ...defaults.debridlink, ...config.debridlink },
+                server: { ...defaults.server, ...config.server },
+                cache: {
+                    ...defaults.cache,
+                    ...config.cache,
+                    negativeTtlMinutes: { ...defaults.cache.negativeTtlMinutes, ...config.cache?.negativeTtlMinutes }
+                },
+                prefetch: { ...defaults.prefetch, ...config.prefetch },
+                hosters: { ...defaults.hosters, ...config.hosters },
+                scnlog: { ...defaults.scnlog, ...config.scnlog },
+                logging: { ...defaults.logging, ...config.logging }
             };
         } else {
             // Create default config file
-            saveConfig(DEFAULT_CONFIG);
-            return DEFAULT_CONFIG;
+            saveConfig(defaults);
+            return defaults;
         }
     } catch (error) {
         console.error('❌ Error loading config:', error);
-        return DEFAULT_CONFIG;
+        return defaults;
     }
 }
 
@@ -48,6 +130,20 @@ function saveConfig(config) {
     }
 }
 
+// Generate an access token and store it in config.json (server.accessTokens)
+// Returns the token, or null when config.json can't be read or written (it is never overwritten when corrupt)
+function createAccessToken() {
+    const token = crypto.randomBytes(24).toString('hex');
+    try {
+        const stored = fs.existsSync(CONFIG_PATH) ? JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8')) : structuredClone(DEFAULT_CONFIG);
+        stored.server = { ...stored.server, accessTokens: [token] };
+        return saveConfig(stored) ? token : null;
+    } catch (error) {
+        console.error('❌ Error storing access token:', error.message);
+        return null;
+    }
+}
+
 // Get config with environment variable overrides
 function getConfig() {
     const config = loadConfig();
@@ -58,14 +154,57 @@ function getConfig() {
         config.realdebrid.enabled = true;
     }
     
+    if (process.env.ALLDEBRID_API_KEY) {
+        config.alldebrid.apiKey = process.env.ALLDEBRID_API_KEY;
+        config.alldebrid.enabled = true;
+    }
+    
+    if (process.env.PREMIUMIZE_API_KEY) {
+        config.premiumize.apiKey = process.env.PREMIUMIZE_API_KEY;
+        config.premiumize.enabled = true;
+    }
+    
+    if (process.env.DEBRIDLINK_API_KEY) {
+        config.debridlink.apiKey = process.env.DEBRIDLINK_API_KEY;
+        config.debridlink.enabled = true;
+    }
+    
+    if (process.env.DEBRID_PROVIDER) {
+        config.debrid.provider = process.env.DEBRID_PROVIDER;
+    }
+    
     if (process.env.PORT) {
         config.server.port = parseInt(process.env.PORT);
     }
     
+    if (process.env.ACCESS_TOKENS) {
+        config.server.accessTokens = process.env.ACCESS_TOKENS.split(',').map(token => token.trim());
+    }
+    
+    if (process.env.ADMIN_TOKEN) {
+        config.server.adminToken = process.env.ADMIN_TOKEN;
+    }
+    
     if (process.env.PUBLIC_BASE_URL) {
         config.server.publicBaseUrl = process.env.PUBLIC_BASE_URL;
     }
     
+    if (process.env.CACHE_TTL_MINUTES) {
+        config.cache.streamTtlMinutes = parseInt(process.env.CACHE_TTL_MINUTES);
+    }
+    
+    if (process.env.LOG_LEVEL) {
+        config.logging.level = process.env.LOG_LEVEL.toLowerCase();
+    }
+    
+    if (process.env.LOG_FORMAT) {
+        config.logging.format = process.env.LOG_FORMAT.toLowerCase();
+    }
+    
+    if (process.env.LOG_FILE) {
+        config.logging.file = process.env.LOG_FILE;
+    }
+    
     return config;
 }
 
@@ -73,6 +212,7 @@ module.exports = {
     loadConfig,
     saveConfig,
     getConfig,
+    createAccessToken,
     CONFIG_PATH
 };
 
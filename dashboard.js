@@ -0,0 +1,230 @@
+const { escapeHtml } = require('./userconfig');
+
+// Stage names shown in the request table (in pipeline order)
+const STAGE_LABELS = {
+    cache: 'Cache',
+    metadata: 'Cinemeta',
+    search: 'scnlog search',
+    resolve: 'MultiUp + hosters',
+    multiup: 'MultiUp link',
+    hosters: 'Hoster links'
+};
+
+// Format a duration in ms as "850 ms", "12.3 s" or "1 h 5 min"
+function formatDuration(ms) {
+    if (ms === null || ms === undefined) {
+        return '-';
+    }
+    if (ms < 1000) {
+        return `${ms} ms`;
+    }
+    if (ms < 60 * 1000) {
+        return `${(ms / 1000).toFixed(1)} s`;
+    }
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 60) {
+        return `${minutes} min`;
+    }
+    const days = Math.floor(minutes / 1440);
+    const hours = Math.floor((minutes % 1440) / 60);
+    return days > 0 ? `${days} d ${hours} h` : `${hours} h ${minutes % 60} min`;
+}
+
+// Format an ISO timestamp for display (local time of the server)
+function formatTime(iso) {
+    return iso ? new Date(iso).toLocaleString('nl-BE') : '-';
+}
+
+// Stage timings as "Cache 3 ms · scnlog search 1.2 s · ..."
+function formatStages(stages) {
+    const parts = Object.entries(stages || {})
+        .map(([stage, ms]) => `${escapeHtml(STAGE_LABELS[stage] || stage)} ${formatDuration(ms)}`);
+    return parts.length > 0 ? parts.join(' · ') : '-';
+}
+
+// Human readable outcome of a stream request
+function formatOutcome(request) {
+    if (request.outcome === 'running') {
+        return '<span class="busy">⏳ Busy...</span>';
+    }
+    if (request.outcome === 'ok') {
+        return `<span class="ok">✅ ${request.streams} stream(s)${request.fromCache ? ' (from cache)' : ''}</span>`;
+    }
+    const reason = request.failure || 'No streams found';
+    return `<span class="fail">❌ ${escapeHtml(reason)}${request.fromCache ? ' (remembered from earlier)' : ''}</span>`;
+}
+
+// How the releases were found when it wasn't the plain title with SxxEyy: "(found via alias, air date)"
+function formatSearchStrategy(search) {
+    if (!search || !search.strategy) {
+        return '';
+    }
+    const via = [
+        search.strategy !== 'title' ? search.strategy.replace('_', ' ') : null,
+        search.naming === 'date' ? 'air date' : null,
+        search.naming === 'season' ? 'season search' : null
+    ].filter(Boolean);
+    return via.length > 0 ? ` <small class="muted">(found via ${escapeHtml(via.join(', '))})</small>` : '';
+}
+
+// Episodes covered by a season pack or multi-episode release: " (pack: E01-E10)"
+function formatPack(pack) {
+    if (!pack) {
+        return '';
+    }
+    const [first, last] = [Math.min(...pack.episodes), Math.max(...pack.episodes)]
+        .map(episode => `E${episode.toString().padStart(2, '0')}`);
+    const episodes = first === last ? first : `${first}-${last}`;
+    return ` <small class="muted">(pack: ${episodes}${pack.selectFile ? ', file picked at playback' : ''})</small>`;
+}
+
+// Recent stream requests with per-stage timings and per-post details
+function renderRequests(requests) {
+    if (requests.length === 0) {
+        return '<p class="muted">No stream requests yet.</p>';
+    }
+    const rows = requests.map(request => {
+        const posts = request.posts.length > 0
+            ? `<details><summary>${request.posts.length} release(s)</summary><ul>${request.posts.map(post => `
+                <li>${escapeHtml(post.title || post.url)}${formatPack(post.pack)}<br>
+                    <small>${formatStages(post.stages)} - ${post.failure ? `❌ ${escapeHtml(post.failure)}` : `✅ ${post.streams} stream(s)`}</small></li>`).join('')}
+            </ul></details>`
+            : '';
+        return `
+        <tr>
+            <td>${formatTime(request.startedAt)}</td>
+            <td>${escapeHtml(request.title || request.id)}${request.background ? ' <small class="muted">(prefetch)</small>' : ''}${formatSearchStrategy(request.search)}<br><small class="muted">${escapeHtml(request.type)} ${escapeHtml(request.id)}${request.requestId ? ` · request ${escapeHtml(request.requestId)}` : ''}</small></td>
+            <td>${formatOutcome(request)}${posts}</td>
+            <td>${formatDuration(request.durationMs)}</td>
+            <td><small>${formatStages(request.stages)}</small></td>
+        </tr>`;
+    }).join('');
+    return `<table>
+        <tr><th>Time</th><th>Title</th><th>Result</th><th>Total</th><th>Stages</th></tr>${rows}
+    </table>`;
+}
+
+// Cached stream lists and remembered failures
+function renderCache(cache) {
+    const { stats, entries } = cache;
+    const summary = `<p>${stats.entries} cached stream list(s) with ${stats.totalStreams} stream(s), ${stats.failures} remembered failure(s), ${stats.resolveTokens} playback link(s).</p>`;
+    if (entries.length === 0) {
+        return summary;
+    }
+    const rows = entries.map(entry => `
+        <tr class="${entry.expired ? 'muted' : ''}">
+            <td>${escapeHtml(entry.key.replace(/^failure:/, ''))}</td>
+            <td>${entry.kind === 'failure'
+                ? `<span class="fail">❌ ${escapeHtml(entry.failure?.message || 'Failed')}</span>`
+                : `<span class="ok">✅ ${entry.streams} stream(s)</span> <small class="muted">${escapeHtml(entry.hosts.join(', '))}</small>`}</td>
+            <td>${formatTime(entry.createdAt)}</td>
+            <td>${entry.expired ? 'expired' : formatTime(entry.expiresAt)}</td>
+        </tr>`).join('');
+    return `${summary}<table>
+        <tr><th>Key</th><th>Content</th><th>Created</th><th>Expires</th></tr>${rows}
+    </table>`;
+}
+
+// Learned hoster statistics (see hosters.js), most reliable hoster first
+function renderHosters(hosters) {
+    const entries = Object.entries(hosters).sort((a, b) => b[1].score - a[1].score);
+    if (entries.length === 0) {
+        return '<p class="muted">No hoster has been tried yet.</p>';
+    }
+    const rows = entries.map(([host, stats]) => {
+        const errors = Object.entries(stats.errorCodes || {})
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 3)
+            .map(([code, count]) => `${escapeHtml(code)} ×${count}`)
+            .join(', ');
+        return `
+        <tr>
+            <td>${escapeHtml(host)}</td>
+            <td>${stats.score.toFixed(2)}</td>
+            <td>${stats.successes}/${stats.attempts}${stats.timeouts > 0 ? ` <small class="muted">(${stats.timeouts} timed out)</small>` : ''}</td>
+            <td>${formatDuration(stats.avgLatencyMs)}</td>
+            <td>${stats.streamStarts}/${stats.streamStarts + stats.streamStartFailures}</td>
+            <td><small>${errors || '-'}</small></td>
+            <td><small>✅ ${formatTime(stats.lastSuccessAt)}<br>❌ ${formatTime(stats.lastFailureAt)}</small></td>
+        </tr>`;
+    }).join('');
+    return `<table>
+        <tr><th>Hoster</th><th>Score</th><th>Unrestricted</th><th>Avg. time</th><th>Playback started</th><th>Most common errors</th><th>Last success / failure</th></tr>${rows}
+    </table>`;
+}
+
+// Debrid account card
+function renderDebrid(debrid) {
+    if (!debrid.configured) {
+        return `<p class="fail">❌ ${escapeHtml(debrid.providerId)} is not configured</p>`;
+    }
+    if (debrid.error) {
+        return `<p>${escapeHtml(debrid.providerName)}</p><p class="fail">❌ Account check failed: ${escapeHtml(debrid.error)}</p>`;
+    }
+    const { username, premium, expiration } = debrid.status;
+    return `<p>${escapeHtml(debrid.providerName)}: <b>${escapeHtml(username || '-')}</b></p>
+        <p>${premium ? '<span class="ok">✅ Premium</span>' : '<span class="fail">❌ No premium</span>'}${expiration ? ` until ${formatTime(expiration)}` : ''}</p>`;
+}
+
+// Browser card
+function renderBrowser(browser, inFlight) {
+    const mode = browser.running ? (browser.headless ? 'headless' : 'visible') : 'not running';
+    return `<p>Mode: <b>${mode}</b>${browser.forceVisible ? ' (forced visible)' : ''}</p>
+        <p>Cloudflare challenge: ${browser.cloudflareChallengeDetected ? '<span class="fail">⚠️ waiting to be solved</span>' : '<span class="ok">none</span>'}</p>
+        <p>Pages: ${browser.trackedPages} · Slots: ${browser.slots.active}/${browser.slots.max} in use, ${browser.slots.waitingInteractive} waiting</p>
+        <p>Running requests: ${inFlight.requests.length} · Prefetch queue: ${inFlight.prefetchQueue.length}</p>`;
+}
+
+// Render the dashboard page (refreshes itself every 30 seconds)
+function renderDashboard(data) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <meta http-equiv="refresh" content="30">
+    <title>Streamzio - Dashboard</title>
+    <style>
+        body { font-family: sans-serif; background: #1b1b2f; color: #eee; margin: 0 auto; padding: 16px; max-width: 1200px; }
+        .cards { display: flex; flex-wrap: wrap; gap: 16px; }
+        .card { background: #26264a; border-radius: 8px; padding: 4px 16px; flex: 1 1 260px; }
+        table { width: 100%; border-collapse: collapse; font-size: 14px; }
+        th, td { text-align: left; padding: 6px; border-bottom: 1px solid #33335a; vertical-align: top; }
+        a { color: #a995ff; }
+        .ok { color: #6fdc8c; }
+        .fail { color: #ff8389; }
+        .busy { color: #f1c21b; }
+        .muted { color: #8d8daa; }
+    </style>
+</head>
+<body>
+    <h1>Streamzio <small class="muted">v${escapeHtml(data.version)}</small></h1>
+    <p class="muted">Up for ${formatDuration(data.uptimeMs)} · updated ${formatTime(data.generatedAt)}</p>
+    <div class="cards">
+        <div class="card">
+            <h3>🌐 Address</h3>
+            <p><a href="${escapeHtml(data.tunnel.url)}">${escapeHtml(data.tunnel.url)}</a></p>
+            <p class="muted">From ${escapeHtml(data.tunnel.source)}</p>
+        </div>
+        <div class="card">
+            <h3>🔓 Debrid account</h3>
+            ${renderDebrid(data.debrid)}
+        </div>
+        <div class="card">
+            <h3>🧭 Browser</h3>
+            ${renderBrowser(data.browser, data.inFlight)}
+        </div>
+    </div>
+    <h2>📺 Recent requests</h2>
+    ${renderRequests(data.recentRequests)}
+    <h2>🔎 Hosters</h2>
+    ${renderHosters(data.hosters)}
+    <h2>💾 Cache</h2>
+    ${renderCache(data.cache)}
+</body>
+</html>`;
+}
+
+module.exports = {
+    renderDashboard
+};
@@ -0,0 +1,683 @@
+const axios = require('axios');
+const { createLogger } = require('./logger');
+
+const log = createLogger('debrid');
+
+const REALDEBRID_API_URL = 'https://api.real-debrid.com/rest/1.0';
+const ALLDEBRID_API_URL = 'https://api.alldebrid.com/v4';
+const PREMIUMIZE_API_URL = 'https://www.premiumize.me/api';
+const DEBRIDLINK_API_URL = 'https://debrid-link.com/api/v2';
+
+// Agent name sent to APIs that require one (AllDebrid)
+const API_AGENT = 'streamzio';
+
+// Supported-host and host-status data per provider, refreshed periodically
+const HOSTER_SUPPORT_TTL = 30 * 60 * 1000;  // 30 minutes
+const hosterSupport = new Map();  // providerId -> { domains: Set, status: { domain: 'up'|'down'|'unsupported' }, fetchedAt }
+
+// Every debrid provider implements the same interface:
+//   unrestrict(link, { signal, onError, selectFile }) -> { url, filename, size } or null
+//                         (errors are logged and passed to onError({ kind, code, message }), aborts are silent)
+//                         selectFile(filenames) -> index or -1 picks the file when a link holds several (season packs)
+//   listFiles(link, { signal }) -> filenames behind a folder or multi-file link, null when it can't be listed
+//                         (optional, used to check which episodes a season pack holds)
+//   checkLink(link, { signal }) -> true when the hoster still has the file, false when it is gone,
+//                         null when unknown (optional, used to revalidate cached streams without unrestricting)
+//   getSupportedHosts()   -> array of supported hoster domains (e.g. ['rapidgator.net', ...])
+//   getAccountStatus()    -> { username, premium, expiration } (expiration as ISO string or null)
+//   getHostsStatus()      -> { domain: 'up' | 'down' | 'unsupported' } (optional, {} when unknown)
+
+// Extract hoster name from link for better error messages
+function getHosterName(link) {
+    let hosterName = 'unknown';
+    try {
+        const urlObj = new URL(link);
+        hosterName = urlObj.hostname.replace('www.', '').split('.')[0];
+    } catch (e) {
+        // If URL parsing fails, try to extract from link string
+        const hosterMatch = link.match(/https?:\/\/(?:www\.)?([^\/]+)/);
+        if (hosterMatch) {
+            hosterName = hosterMatch[1].split('.')[0];
+        }
+    }
+    return hosterName;
+}
+
+// Log an unrestrict failure with a clear message per error type
+// kind: 'hoster_unsupported', 'unavailable_file' or anything else for generic errors
+// Returns { kind, code, message } for the caller's onError callback (hoster statistics, request trace)
+function logUnrestrictError(providerName, link, kind, errorCode, errorMsg) {
+    const hosterName = getHosterName(link);
+    
+    if (kind === 'hoster_unsupported') {
+        log.info(`🚫 Hoster not supported by ${providerName}: ${hosterName} (error_code: ${errorCode || 'N/A'})`);
+        log.info(`   💡 ${providerName} does not support this hoster. Trying next hoster...`);
+    } else if (kind === 'unavailable_file') {
+        log.warn(`⚠️  File unavailable on ${providerName}: ${hosterName} (error_code: ${errorCode || 'N/A'})`);
+        log.info(`   💡 The file may have been deleted or is no longer accessible. Trying next hoster...`);
+    } else {
+        log.warn(`❌ ${providerName} error for ${hosterName}: ${errorMsg || 'Unknown error'} (error_code: ${errorCode || 'N/A'})`);
+    }
+    
+    return { kind, code: errorCode === undefined ? null : errorCode, message: errorMsg || null };
+}
+
+// Filename of a download link ("https://host/abc/Show.S02E05.mkv" -> "Show.S02E05.mkv")
+function getLinkFilename(link) {
+    try {
+        return decodeURIComponent(new URL(link).pathname.split('/').pop());
+    } catch (e) {
+        return '';
+    }
+}
+
+// List the file links of a hoster folder link through Real-Debrid
+// Returns null when the link is no folder (or the hoster has no folders)
+async function listRealDebridFolder(link, apiKey, options = {}) {
+    try {
+        const response = await axios.post(
+            `${REALDEBRID_API_URL}/unrestrict/folder`,
+            `link=${encodeURIComponent(link)}`,
+            {
+                headers: {
+                    'Authorization': `Bearer ${apiKey}`,
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                },
+                timeout: 30000,
+                signal: options.signal
+            }
+        );
+        return Array.isArray(response.data) ? response.data : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// List a hoster folder link through Real-Debrid and pick a file with selectFile
+// Returns the link of the selected file, or null when the link is no folder or no file fits
+async function getRealDebridFolderFile(link, apiKey, options) {
+    const links = await listRealDebridFolder(link, apiKey, options) || [];
+    const index = links.length > 0 ? options.selectFile(links.map(getLinkFilename)) : -1;
+    if (index < 0) {
+        // Not a folder - the link itself is unrestricted
+        return null;
+    }
+    log.info(`📂 Picked ${getLinkFilename(links[index])} from folder ${link}`);
+    return links[index];
+}
+
+// Check if a hoster link is still available through Real-Debrid (without unrestricting it)
+// Returns false only for files the hoster reports as gone, null when the check itself failed
+async function checkRealDebridLink(link, apiKey, options = {}) {
+    try {
+        await axios.post(
+            `${REALDEBRID_API_URL}/unrestrict/check`,
+            `link=${encodeURIComponent(link)}`,
+            {
+                headers: {
+                    'Authorization': `Bearer ${apiKey}`,
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                },
+                timeout: 10000,
+                signal: options.signal
+            }
+        );
+        return true;
+    } catch (error) {
+        const errorData = error.response?.data || {};
+        if (error.response?.status === 503 || errorData.error_code === 24 || errorData.error === 'unavailable_file') {
+            return false;
+        }
+        return null;
+    }
+}
+
+// Add link to Real-Debrid and get streaming URL
+// With options.selectFile, folder links (a season uploaded as one folder) are listed first to pick the episode
+async function getRealDebridStream(link, apiKey, options = {}) {
+    try {
+        if (options.selectFile) {
+            link = await getRealDebridFolderFile(link, apiKey, options) || link;
+        }
+        log.info(`🔓 Adding to Real-Debrid: ${link}`);
+        
+        // Use Real-Debrid unrestrict API
+        const response = await axios.post(
+            `${REALDEBRID_API_URL}/unrestrict/link`,
+            `link=${encodeURIComponent(link)}`,
+            {
+                headers: {
+                    'Authorization': `Bearer ${apiKey}`,
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                },
+                timeout: 30000,
+                signal: options.signal
+            }
+        );
+        
+        const data = response.data;
+        
+        if (data.download) {
+            log.info(`✅ Real-Debrid stream ready: ${data.download}`);
+            return {
+                url: data.download,
+                filename: data.filename || null,
+                size: data.filesize || null
+            };
+        }
+        
+        return null;
+    } catch (error) {
+        // Cancelled by the caller (per-hoster deadline or enough streams collected)
+        if (axios.isCancel(error)) {
+            return null;
+        }
+        
+        // Parse Real-Debrid error response
+        const errorData = error.response?.data || {};
+        const errorCode = errorData.error_code;
+        const errorMsg = errorData.error || error.message;
+        
+        let kind = 'error';
+        if (errorCode === 16 || errorMsg === 'hoster_unsupported' || errorMsg?.includes('unsupported')) {
+            kind = 'hoster_unsupported';
+        } else if (errorCode === 24 || errorMsg === 'unavailable_file' || errorMsg?.includes('unavailable')) {
+            kind = 'unavailable_file';
+        }
+        options.onError?.(logUnrestrictError('Real-Debrid', link, kind, errorCode, errorMsg));
+        
+        return null;
+    }
+}
+
+// Real-Debrid provider
+function createRealDebridProvider(apiKey) {
+    const headers = { 'Authorization': `Bearer ${apiKey}` };
+    
+    return {
+        id: 'realdebrid',
+        name: 'Real-Debrid',
+        shortName: 'RD',
+        
+        unrestrict(link, options = {}) {
+            return getRealDebridStream(link, apiKey, options);
+        },
+        
+        async listFiles(link, options = {}) {
+            const links = await listRealDebridFolder(link, apiKey, options);
+            return links ? links.map(getLinkFilename) : null;
+        },
+        
+        checkLink(link, options = {}) {
+            return checkRealDebridLink(link, apiKey, options);
+        },
+        
+        async getSupportedHosts() {
+            // /hosts lists the main domain per hoster, /hosts/domains adds the aliases (e.g. rg.to)
+            const [hostsResponse, domainsResponse] = await Promise.all([
+                axios.get(`${REALDEBRID_API_URL}/hosts`, { headers, timeout: 15000 }),
+                axios.get(`${REALDEBRID_API_URL}/hosts/domains`, { headers, timeout: 15000 })
+            ]);
+            return Array.from(new Set([...Object.keys(hostsResponse.data || {}), ...(domainsResponse.data || [])]));
+        },
+        
+        async getHostsStatus() {
+            const response = await axios.get(`${REALDEBRID_API_URL}/hosts/status`, { headers, timeout: 15000 });
+            const status = {};
+            for (const [domain, info] of Object.entries(response.data || {})) {
+                status[domain.toLowerCase()] = info.supported === 0 ? 'unsupported' : info.status;
+            }
+            return status;
+        },
+        
+        async getAccountStatus() {
+            const response = await axios.get(`${REALDEBRID_API_URL}/user`, { headers, timeout: 15000 });
+            const user = response.data;
+            return {
+                username: user.username,
+                premium: user.type === 'premium',
+                expiration: user.expiration || null
+            };
+        }
+    };
+}
+
+// AllDebrid provider
+function createAllDebridProvider(apiKey) {
+    const params = { agent: API_AGENT, apikey: apiKey };
+    
+    return {
+        id: 'alldebrid',
+        name: 'AllDebrid',
+        shortName: 'AD',
+        
+        async unrestrict(link, options = {}) {
+            try {
+                log.info(`🔓 Adding to AllDebrid: ${link}`);
+                const response = await axios.get(`${ALLDEBRID_API_URL}/link/unlock`, {
+                    params: { ...params, link },
+                    timeout: 30000,
+                    signal: options.signal
+                });
+                
+                // AllDebrid reports errors with HTTP 200 and status 'error'
+                const data = response.data;
+                if (data.status !== 'success') {
+                    const errorCode = data.error?.code;
+                    let kind = 'error';
+                    if (errorCode === 'LINK_HOST_NOT_SUPPORTED') {
+                        kind = 'hoster_unsupported';
+                    } else if (errorCode === 'LINK_DOWN' || errorCode === 'LINK_NOT_AVAILABLE') {
+                        kind = 'unavailable_file';
+                    }
+                    options.onError?.(logUnrestrictError('AllDebrid', link, kind, errorCode, data.error?.message));
+                    return null;
+                }
+                
+                if (data.data?.link) {
+                    log.info(`✅ AllDebrid stream ready: ${data.data.link}`);
+                    return {
+                        url: data.data.link,
+                        filename: data.data.filename || null,
+                        size: data.data.filesize || null
+                    };
+                }
+                return null;
+            } catch (error) {
+                if (axios.isCancel(error)) {
+                    return null;
+                }
+                options.onError?.(logUnrestrictError('AllDebrid', link, 'error', null, error.message));
+                return null;
+            }
+        },
+        
+        async getSupportedHosts() {
+            const response = await axios.get(`${ALLDEBRID_API_URL}/hosts/domains`, {
+                params: { agent: API_AGENT },
+                timeout: 15000
+            });
+            return response.data?.data?.hosts || [];
+        },
+        
+        async getAccountStatus() {
+            const response = await axios.get(`${ALLDEBRID_API_URL}/user`, { params, timeout: 15000 });
+            const user = response.data?.data?.user;
+            if (!user) {
+                throw new Error(response.data?.error?.message || 'Invalid AllDebrid response');
+            }
+            return {
+                username: user.username,
+                premium: !!user.isPremium,
+                expiration: user.premiumUntil ? new Date(user.premiumUntil * 1000).toISOString() : null
+            };
+        }
+    };
+}
+
+// Premiumize provider
+function createPremiumizeProvider(apiKey) {
+    const params = { apikey: apiKey };
+    
+    return {
+        id: 'premiumize',
+        name: 'Premiumize',
+        shortName: 'PM',
+        
+        async unrestrict(link, options = {}) {
+            try {
+                log.info(`🔓 Adding to Premiumize: ${link}`);
+                const response = await axios.post(
+                    `${PREMIUMIZE_API_URL}/transfer/directdl`,
+                    `src=${encodeURIComponent(link)}`,
+                    {
+                        params,
+                        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                        timeout: 30000,
+                        signal: options.signal
+                    }
+                );
+                
+                const data = response.data;
+                if (data.status !== 'success') {
+                    const errorMsg = data.message || 'Unknown error';
+                    let kind = 'error';
+                    if (/not supported/i.test(errorMsg)) {
+                        kind = 'hoster_unsupported';
+                    } else if (/not (be )?found|offline|unavailable/i.test(errorMsg)) {
+                        kind = 'unavailable_file';
+                    }
+                    options.onError?.(logUnrestrictError('Premiumize', link, kind, null, errorMsg));
+                    return null;
+                }
+                
+                // A single link can expand to several files - use the selected one (season packs)
+                // or else the largest (the video)
+                const files = (data.content || []).filter(file => file.link);
+                if (files.length === 0) {
+                    return null;
+                }
+                let file;
+                if (options.selectFile && files.length > 1) {
+                    file = files[options.selectFile(files.map(current => (current.path || '').split('/').pop()))];
+                    if (!file) {
+                        options.onError?.(logUnrestrictError('Premiumize', link, 'wrong_file', null, 'No file of the requested episode in the link'));
+                        return null;
+                    }
+                } else {
+                    file = files.reduce((largest, current) => (current.size > largest.size ? current : largest));
+                }
+                log.info(`✅ Premiumize stream ready: ${file.link}`);
+                return {
+                    url: file.link,
+                    filename: file.path ? file.path.split('/').pop() : null,
+                    size: file.size || null
+                };
+            } catch (error) {
+                if (axios.isCancel(error)) {
+                    return null;
+                }
+                options.onError?.(logUnrestrictError('Premiumize', link, 'error', null, error.message));
+                return null;
+            }
+        },
+        
+        async listFiles(link, options = {}) {
+            try {
+                const response = await axios.post(
+                    `${PREMIUMIZE_API_URL}/transfer/directdl`,
+                    `src=${encodeURIComponent(link)}`,
+                    {
+                        params,
+                        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                        timeout: 30000,
+                        signal: options.signal
+                    }
+                );
+                if (response.data.status !== 'success') {
+                    return null;
+                }
+                return (response.data.content || [])
+                    .filter(file => file.link)
+                    .map(file => (file.path || '').split('/').pop());
+            } catch (error) {
+                return null;
+            }
+        },
+        
+        async getSupportedHosts() {
+            const response = await axios.get(`${PREMIUMIZE_API_URL}/services/list`, { params, timeout: 15000 });
+            return response.data?.directdl || [];
+        },
+        
+        async getAccountStatus() {
+            const response = await axios.get(`${PREMIUMIZE_API_URL}/account/info`, { params, timeout: 15000 });
+            const account = response.data;
+            if (account.status !== 'success') {
+                throw new Error(account.message || 'Invalid Premiumize response');
+            }
+            return {
+                username: account.customer_id ? account.customer_id.toString() : null,
+                premium: !!account.premium_until && account.premium_until * 1000 > Date.now(),
+                expiration: account.premium_until ? new Date(account.premium_until * 1000).toISOString() : null
+            };
+        }
+    };
+}
+
+// Debrid-Link provider
+function createDebridLinkProvider(apiKey) {
+    const headers = { 'Authorization': `Bearer ${apiKey}` };
+    
+    return {
+        id: 'debridlink',
+        name: 'Debrid-Link',
+        shortName: 'DL',
+        
+        async unrestrict(link, options = {}) {
+            try {
+                log.info(`🔓 Adding to Debrid-Link: ${link}`);
+                const response = await axios.post(
+                    `${DEBRIDLINK_API_URL}/downloader/add`,
+                    { url: link },
+                    { headers, timeout: 30000, signal: options.signal }
+                );
+                
+                const value = response.data?.value;
+                if (response.data?.success && value?.downloadUrl) {
+                    log.info(`✅ Debrid-Link stream ready: ${value.downloadUrl}`);
+                    return {
+                        url: value.downloadUrl,
+                        filename: value.name || null,
+                        size: value.size || null
+                    };
+                }
+                return null;
+            } catch (error) {
+                if (axios.isCancel(error)) {
+                    return null;
+                }
+                const errorCode = error.response?.data?.error;
+                let kind = 'error';
+                if (errorCode === 'notDebrid' || errorCode === 'hostNotValid') {
+                    kind = 'hoster_unsupported';
+                } else if (errorCode === 'fileNotFound' || errorCode === 'fileNotAvailable') {
+                    kind = 'unavailable_file';
+                }
+                options.onError?.(logUnrestrictError('Debrid-Link', link, kind, errorCode, error.message));
+                return null;
+            }
+        },
+        
+        async getSupportedHosts() {
+            const response = await axios.get(`${DEBRIDLINK_API_URL}/downloader/hosts`, { headers, timeout: 15000 });
+            return (response.data?.value || []).flatMap(host => host.domains || []);
+        },
+        
+        async getAccountStatus() {
+            const response = await axios.get(`${DEBRIDLINK_API_URL}/account/infos`, { headers, timeout: 15000 });
+            const account = response.data?.value;
+            if (!account) {
+                throw new Error('Invalid Debrid-Link response');
+            }
+            return {
+                username: account.pseudo || null,
+                premium: account.accountType === 1,
+                expiration: account.premiumLeft > 0 ? new Date(Date.now() + account.premiumLeft * 1000).toISOString() : null
+            };
+        }
+    };
+}
+
+// Fetch supported hosts and host status for a provider
+// Keeps the previous data when the refresh fails
+async function refreshHosterSupport(provider) {
+    try {
+        const [domains, status] = await Promise.all([
+            provider.getSupportedHosts(),
+            provider.getHostsStatus ? provider.getHostsStatus() : {}
+        ]);
+        hosterSupport.set(provider.id, {
+            domains: new Set(domains.map(domain => domain.toLowerCase())),
+            status,
+            fetchedAt: Date.now()
+        });
+        const downCount = Object.values(status).filter(value => value !== 'up').length;
+        log.info(`🔄 ${provider.name}: ${domains.length} supported hosts (${downCount} down/unsupported)`);
+    } catch (error) {
+        log.warn(`⚠️  Could not refresh ${provider.name} hosts: ${error.message}`);
+    }
+    return hosterSupport.get(provider.id) || null;
+}
+
+// Get supported hosts and host status for a provider (refreshes when stale)
+async function getHosterSupport(provider) {
+    const support = hosterSupport.get(provider.id);
+    if (support && Date.now() - support.fetchedAt < HOSTER_SUPPORT_TTL) {
+        return support;
+    }
+    return refreshHosterSupport(provider);
+}
+
+// Find the supported domain for a hoster link (checks link hostname, MultiUp host name and parent domains)
+function findSupportedDomain(support, hosterLink) {
+    const candidates = [];
+    try {
+        candidates.push(new URL(hosterLink.url).hostname.toLowerCase().replace(/^www\./, ''));
+    } catch (e) {
+        // Invalid URL - rely on the MultiUp host name
+    }
+    if (hosterLink.host) {
+        candidates.push(hosterLink.host.toLowerCase().replace(/^www\./, ''));
+    }
+    
+    for (const candidate of candidates) {
+        const parts = candidate.split('.');
+        for (let i = 0; i < parts.length - 1; i++) {
+            const domain = parts.slice(i).join('.');
+            if (support.domains.has(domain)) {
+                return domain;
+            }
+        }
+    }
+    return null;
+}
+
+// Filter hoster links to the ones the provider can serve right now, hosters reported 'up' first
+// When no host data is available the links are returned unchanged (fail open)
+async function filterSupportedHosterLinks(hosterLinks, provider) {
+    const support = await getHosterSupport(provider);
+    if (!support || support.domains.size === 0) {
+        return hosterLinks;
+    }
+    
+    const ranked = [];
+    for (const hosterLink of hosterLinks) {
+        const domain = findSupportedDomain(support, hosterLink);
+        if (!domain) {
+            log.info(`🚫 Skipping ${hosterLink.host}: not supported by ${provider.name}`);
+            continue;
+        }
+        
+        const status = support.status[domain];
+        if (status === 'down' || status === 'unsupported') {
+            log.info(`🚫 Skipping ${hosterLink.host}: ${status} on ${provider.name}`);
+            continue;
+        }
+        ranked.push({ hosterLink, rank: status === 'up' ? 0 : 1 });
+    }
+    
+    // Array.prototype.sort is stable - MultiUp order is kept within the same rank
+    ranked.sort((a, b) => a.rank - b.rank);
+    return ranked.map(item => item.hosterLink);
+}
+
+// Unrestrict hoster links with bounded parallelism and a per-hoster deadline
+// candidates: [{ link, host }] in preferred order. Resolves with the first `wanted` successes
+// ([{ candidate, stream }]) and cancels the calls still running through AbortController
+// onResult({ host, success, latencyMs, timedOut, error }) is called for every finished (not cancelled) attempt
+// selectFile (see the provider interface) also rejects a single file that is not the wanted one,
+// e.g. the archive of a whole season pack
+async function unrestrictFirst(provider, candidates, { concurrency = 3, timeoutMs = 15000, wanted = 1, onResult = null, selectFile = null } = {}) {
+    const successes = [];
+    const controllers = new Set();
+    let nextIndex = 0;
+    let done = false;
+    
+    const worker = async () => {
+        while (!done && nextIndex < candidates.length) {
+            const candidate = candidates[nextIndex++];
+            const controller = new AbortController();
+            controllers.add(controller);
+            const startTime = Date.now();
+            let timedOut = false;
+            let error = null;
+            const timer = setTimeout(() => {
+                log.info(`⏱️  ${provider.name} unrestrict for ${candidate.host} timed out after ${timeoutMs}ms`);
+                timedOut = true;
+                controller.abort();
+            }, timeoutMs);
+            
+            try {
+                let stream = await provider.unrestrict(candidate.link, {
+                    signal: controller.signal,
+                    onError: info => { error = info; },
+                    selectFile
+                });
+                if (stream && selectFile && stream.filename && selectFile([stream.filename]) < 0) {
+                    error = logUnrestrictError(provider.name, candidate.link, 'wrong_file', null, `${stream.filename} is not the requested episode`);
+                    stream = null;
+                }
+                
+                // Attempts cancelled because enough streams were collected say nothing about the hoster
+                const cancelled = !stream && controller.signal.aborted && !timedOut;
+                if (onResult && !cancelled) {
+                    onResult({
+                        host: candidate.host,
+                        success: !!stream,
+                        latencyMs: Date.now() - startTime,
+                        timedOut,
+                        error
+                    });
+                }
+                
+                if (stream && !done) {
+                    successes.push({ candidate, stream });
+                    if (successes.length >= wanted) {
+                        // Enough streams - cancel the hosters that are still running
+                        done = true;
+                        controllers.forEach(other => other.abort());
+                    }
+                }
+            } finally {
+                clearTimeout(timer);
+                controllers.delete(controller);
+            }
+        }
+    };
+    
+    const workerCount = Math.max(1, Math.min(concurrency, candidates.length));
+    await Promise.all(Array.from({ length: workerCount }, worker));
+    return successes;
+}
+
+// Available providers, keyed by config id (also the config.json section name)
+const PROVIDERS = {
+    realdebrid: createRealDebridProvider,
+    alldebrid: createAllDebridProvider,
+    premiumize: createPremiumizeProvider,
+    debridlink: createDebridLinkProvider
+};
+
+// Get the selected provider id from config (falls back to Real-Debrid)
+function getProviderId(config) {
+    const providerId = config.debrid?.provider;
+    return PROVIDERS[providerId] ? providerId : 'realdebrid';
+}
+
+// Check if the selected provider has an API key and is enabled
+function isDebridConfigured(config) {
+    const section = config[getProviderId(config)];
+    return !!(section && section.apiKey && section.enabled);
+}
+
+// Create the provider selected in config (null if not configured)
+function getDebridProvider(config) {
+    if (!isDebridConfigured(config)) {
+        return null;
+    }
+    const providerId = getProviderId(config);
+    return PROVIDERS[providerId](config[providerId].apiKey);
+}
+
+module.exports = {
+    getDebridProvider,
+    isDebridConfigured,
+    getProviderId,
+    getRealDebridStream,
+    getHosterName,
+    refreshHosterSupport,
+    filterSupportedHosterLinks,
+    unrestrictFirst,
+    PROVIDERS
+};
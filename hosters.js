@@ -0,0 +1,216 @@
+const fs = require('fs');
+const path = require('path');
+const { getConfig } = require('./config');
+const { createLogger } = require('./logger');
+
+const log = createLogger('hosters');
+
+const STATS_PATH = path.join(__dirname, '.hoster-stats.json');
+const TEMP_PATH = `${STATS_PATH}.${process.pid}.tmp`;
+const SAVE_DEBOUNCE_MS = 5000;  // Stats change on every unrestrict, write at most every 5 seconds
+const LATENCY_WEIGHT = 0.2;  // Weight of a new latency sample in the moving average
+const MAX_ERROR_CODES = 10;  // Most common error codes kept per hoster
+
+// In-memory stats per hoster name (e.g. "rapidgator.net")
+let stats = null;
+let saveTimer = null;
+
+// Load stats from disk (only once - afterwards the in-memory stats are used)
+function loadStats() {
+    if (stats) {
+        return stats;
+    }
+    try {
+        stats = fs.existsSync(STATS_PATH) ? JSON.parse(fs.readFileSync(STATS_PATH, 'utf8')) : {};
+    } catch (error) {
+        log.error(`❌ Error loading hoster stats: ${error.message}`);
+        stats = {};
+    }
+    return stats;
+}
+
+// Write stats to disk atomically (write temp file, then rename)
+function flushStats() {
+    if (saveTimer) {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+    }
+    if (!stats) {
+        return true;
+    }
+    try {
+        fs.writeFileSync(TEMP_PATH, JSON.stringify(stats, null, 2));
+        fs.renameSync(TEMP_PATH, STATS_PATH);
+        return true;
+    } catch (error) {
+        log.error('❌ Error saving hoster stats:', error.message);
+        return false;
+    }
+}
+
+// Schedule a debounced save to disk
+function saveStats() {
+    if (saveTimer) {
+        return;
+    }
+    saveTimer = setTimeout(flushStats, SAVE_DEBOUNCE_MS);
+    saveTimer.unref();
+}
+
+// Normalize a hoster name for stats and preferred/blocked matching
+function normalizeHostName(host) {
+    return (host || 'unknown').toLowerCase().replace(/^www\./, '');
+}
+
+// Get (or create) the stats record for a hoster
+function getHostStats(host) {
+    const all = loadStats();
+    const name = normalizeHostName(host);
+    if (!all[name]) {
+        all[name] = {
+            attempts: 0,
+            successes: 0,
+            failures: 0,
+            timeouts: 0,
+            avgLatencyMs: null,
+            errorCodes: {},
+            streamStarts: 0,
+            streamStartFailures: 0,
+            lastSuccessAt: null,
+            lastFailureAt: null
+        };
+    }
+    return all[name];
+}
+
+// Record the outcome of an unrestrict call
+// outcome: { host, success, latencyMs, timedOut, error: { kind, code } }
+function recordUnrestrictOutcome(outcome) {
+    const record = getHostStats(outcome.host);
+    record.attempts++;
+    
+    if (outcome.success) {
+        record.successes++;
+        record.lastSuccessAt = new Date().toISOString();
+        record.avgLatencyMs = record.avgLatencyMs === null
+            ? outcome.latencyMs
+            : Math.round(record.avgLatencyMs * (1 - LATENCY_WEIGHT) + outcome.latencyMs * LATENCY_WEIGHT);
+    } else {
+        record.failures++;
+        record.lastFailureAt = new Date().toISOString();
+        if (outcome.timedOut) {
+            record.timeouts++;
+        }
+        
+        const code = outcome.timedOut ? 'timeout' : (outcome.error?.code || outcome.error?.kind || 'unknown');
+        record.errorCodes[code] = (record.errorCodes[code] || 0) + 1;
+        
+        // Keep only the most common error codes
+        const codes = Object.entries(record.errorCodes).sort((a, b) => b[1] - a[1]);
+        if (codes.length > MAX_ERROR_CODES) {
+            record.errorCodes = Object.fromEntries(codes.slice(0, MAX_ERROR_CODES));
+        }
+    }
+    saveStats();
+}
+
+// Record whether the unrestricted download URL actually started streaming
+function recordStreamStart(host, started) {
+    const record = getHostStats(host);
+    if (started) {
+        record.streamStarts++;
+    } else {
+        record.streamStartFailures++;
+    }
+    saveStats();
+}
+
+// Reliability score between 0 and 1 (higher is better)
+// Success rates are smoothed so hosters without history start in the middle
+function getHostScore(host) {
+    const record = loadStats()[normalizeHostName(host)];
+    if (!record) {
+        return 0.25;
+    }
+    
+    const successRate = (record.successes + 1) / (record.attempts + 2);
+    const startRate = (record.streamStarts + 1) / (record.streamStarts + record.streamStartFailures + 2);
+    // Slow hosters lose up to 0.2 (at 30 seconds average latency)
+    const latencyPenalty = record.avgLatencyMs ? Math.min(record.avgLatencyMs / 30000, 1) * 0.2 : 0;
+    return Math.max(0, successRate * startRate - latencyPenalty);
+}
+
+// Whether a host name or domain belongs to a preferred/blocked list entry
+// An entry with a dot is a domain and matches that domain and its subdomains ("rg.to" -> "www.rg.to"),
+// an entry without one matches a whole domain label ("1fichier" -> "1fichier.com"), never part of a name
+// ("up" matches neither "uptobox.com" nor "multiup.io")
+function isHostOfEntry(hostName, entry) {
+    if (!hostName || !entry) {
+        return false;
+    }
+    if (entry.includes('.')) {
+        return hostName === entry || hostName.endsWith(`.${entry}`);
+    }
+    return hostName === entry || hostName.split('.').slice(0, -1).includes(entry);
+}
+
+// Check if a hoster link matches an entry of the preferred/blocked lists (host name or link domain)
+// Returns the index of the first matching entry, -1 when none matches
+function matchesHostList(hosterLink, list) {
+    const host = normalizeHostName(hosterLink.host);
+    let domain = '';
+    try {
+        domain = normalizeHostName(new URL(hosterLink.url || hosterLink.link).hostname);
+    } catch (e) {
+        // Invalid URL - only match on host name
+    }
+    return list.findIndex(entry => {
+        const name = normalizeHostName(entry);
+        return isHostOfEntry(host, name) || isHostOfEntry(domain, name);
+    });
+}
+
+// Rank hoster links before trying them: blocked hosters are removed, preferred hosters come first
+// (in the configured order), the rest is ordered by learned reliability score
+// Works for extractHosterLinks results ({ host, url }) and resolve candidates ({ host, link })
+// hostersConfig: { preferred, blocked } (defaults to config.json, per-user configs pass their own)
+function rankHosterLinks(hosterLinks, hostersConfig = getConfig().hosters) {
+    const { preferred, blocked } = hostersConfig;
+    
+    const ranked = [];
+    for (const hosterLink of hosterLinks) {
+        if (matchesHostList(hosterLink, blocked) !== -1) {
+            log.info(`🚫 Skipping ${hosterLink.host}: blocked in config`);
+            continue;
+        }
+        const preferredIndex = matchesHostList(hosterLink, preferred);
+        ranked.push({
+            hosterLink,
+            preferredIndex: preferredIndex === -1 ? preferred.length : preferredIndex,
+            score: getHostScore(hosterLink.host)
+        });
+    }
+    
+    // Array.prototype.sort is stable - equal hosters keep their previous order
+    ranked.sort((a, b) => a.preferredIndex - b.preferredIndex || b.score - a.score);
+    return ranked.map(item => item.hosterLink);
+}
+
+// Get stats for all hosters including their current score
+function getHosterStats() {
+    const all = loadStats();
+    const result = {};
+    for (const [host, record] of Object.entries(all)) {
+        result[host] = { ...record, score: Math.round(getHostScore(host) * 1000) / 1000 };
+    }
+    return result;
+}
+
+module.exports = {
+    recordUnrestrictOutcome,
+    recordStreamStart,
+    rankHosterLinks,
+    getHostScore,
+    getHosterStats,
+    flushStats
+};
@@ -0,0 +1,143 @@
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { getConfig } = require('./config');
+
+// Log levels, lower is more important
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+// Fields of the request being handled ({ requestId }), added to every log line
+const logContext = new AsyncLocalStorage();
+
+// Logging settings, read once on the first log line
+let settings = null;
+
+// File descriptor of the open log file and its current size (for rotation)
+let logFd = null;
+let logFileSize = 0;
+
+// Read the logging settings from the config
+function getSettings() {
+    if (!settings) {
+        const { logging } = getConfig();
+        settings = {
+            level: LEVELS[logging.level] !== undefined ? logging.level : 'info',
+            format: logging.format === 'json' ? 'json' : 'text',
+            file: logging.file ? path.resolve(__dirname, logging.file) : '',
+            maxBytes: (logging.maxSizeMb || 10) * 1024 * 1024,
+            maxFiles: logging.maxFiles || 5
+        };
+    }
+    return settings;
+}
+
+// Short random ID to correlate all log lines of one request
+function createRequestId() {
+    return crypto.randomBytes(4).toString('hex');
+}
+
+// Run fn with extra fields (e.g. { requestId }) on every log line it produces, including async work
+function runWithLogContext(fields, fn) {
+    return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+// Request ID of the request being handled (null outside a request)
+function getRequestId() {
+    return logContext.getStore()?.requestId || null;
+}
+
+// Open the log file in append mode
+// Lines are written synchronously so nothing is lost on a crash and rotation can't race pending writes
+function openLogFile(file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    logFd = fs.openSync(file, 'a');
+    logFileSize = fs.fstatSync(logFd).size;
+}
+
+// Move streamzio.log to streamzio.log.1, .1 to .2, ... (the oldest one is dropped)
+function rotateLogFiles(file, maxFiles) {
+    fs.closeSync(logFd);
+    logFd = null;
+    try {
+        for (let i = maxFiles - 1; i >= 1; i--) {
+            if (fs.existsSync(`${file}.${i}`)) {
+                fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`);
+            }
+        }
+        fs.renameSync(file, `${file}.1`);
+    } catch (error) {
+        console.error(`❌ Error rotating log file: ${error.message}`);
+    }
+    openLogFile(file);
+}
+
+// Append a line to the log file, rotating it when it gets too big
+function writeToFile(line) {
+    const { file, maxBytes, maxFiles } = getSettings();
+    try {
+        if (logFd === null) {
+            openLogFile(file);
+        }
+        const bytes = Buffer.byteLength(line) + 1;
+        if (logFileSize > 0 && logFileSize + bytes > maxBytes) {
+            rotateLogFiles(file, maxFiles);
+        }
+        fs.writeSync(logFd, `${line}\n`);
+        logFileSize += bytes;
+    } catch (error) {
+        console.error(`❌ Error writing log file: ${error.message}`);
+    }
+}
+
+// Format and write one log line
+function write(level, moduleName, args) {
+    const { format, file } = getSettings();
+    const requestId = getRequestId();
+    const message = util.format(...args);
+    const time = new Date().toISOString();
+    
+    let line;
+    if (format === 'json') {
+        line = JSON.stringify({
+            time,
+            level,
+            module: moduleName,
+            ...(requestId && { requestId }),
+            // Emoji are for humans reading the console, not for log processors
+            msg: message.replace(/^[^\p{L}\p{N}[(]+/u, '')
+        });
+    } else {
+        line = `${time} ${level.toUpperCase().padEnd(5)} [${moduleName}]${requestId ? ` [${requestId}]` : ''} ${message}`;
+    }
+    
+    if (level === 'error') {
+        console.error(line);
+    } else {
+        console.log(line);
+    }
+    if (file) {
+        writeToFile(line);
+    }
+}
+
+// Create a logger for a module: log.error/warn/info/debug take the same arguments as console.log
+function createLogger(moduleName) {
+    const logger = {};
+    for (const level of Object.keys(LEVELS)) {
+        logger[level] = (...args) => {
+            if (LEVELS[level] <= LEVELS[getSettings().level]) {
+                write(level, moduleName, args);
+            }
+        };
+    }
+    return logger;
+}
+
+module.exports = {
+    createLogger,
+    createRequestId,
+    runWithLogContext,
+    getRequestId
+};
@@ -0,0 +1,121 @@
+// Title matching between Cinemeta titles and scene release names
+// e.g. "F.C. De Kampioenen" vs "FC.De.Kampioenen.S01E05.FLEMISH.1080p.WEB.h264-GRP"
+
+// Articles are dropped before comparing (English, Dutch, French and German)
+const ARTICLES = new Set(['the', 'a', 'an', 'de', 'het', 'een', 'le', 'la', 'les', 'l', 'der', 'die', 'das']);
+
+// Where the title part of a release name ends: SxxEyy, a season tag, a year or the first release tag
+const RELEASE_TITLE_END = /[\s._-](?:S\d{1,2}E\d{1,3}|S\d{1,2}(?![a-z\d])|(?:19|20)\d{2}(?!\d)|FLEMISH|DUTCH|VLAAMS|NL(?![a-z])|\d{3,4}p|WEB|HDTV|COMPLETE)/i;
+
+// Normalize a title or release name into lowercase words without accents, punctuation and articles
+// Abbreviations with dots are joined ("F.C." -> "fc", "S.W.A.T." -> "swat")
+function normalizeTitle(text) {
+    const words = text
+        .normalize('NFD')
+        .replace(/\p{M}/gu, '')  // é -> e
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/['’]/g, '')    // Grey's -> greys
+        .replace(/\b(?:[a-z0-9]\.){2,}/g, match => `${match.replace(/\./g, '')} `)
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim()
+        .split(' ')
+        .filter(word => word.length > 0);
+    
+    // Keep the articles when the title consists of nothing else
+    const withoutArticles = words.filter(word => !ARTICLES.has(word));
+    return withoutArticles.length > 0 ? withoutArticles : words;
+}
+
+// Title part of a release name ("Ge.Hoort.Er.Niet.Bij.S02E03.FLEMISH..." -> "Ge.Hoort.Er.Niet.Bij")
+// For movies with a known year the title ends at that year ("Blade.Runner.2049.2017..." -> "Blade.Runner.2049")
+function getReleaseTitlePart(releaseName, year = null) {
+    const name = releaseName.trim();
+    if (year) {
+        const yearIndex = name.search(new RegExp(`[\\s._(-]${year}(?!\\d)`));
+        if (yearIndex > 0) {
+            return name.substring(0, yearIndex);
+        }
+    }
+    const match = name.match(RELEASE_TITLE_END);
+    return match && match.index > 0 ? name.substring(0, match.index) : name;
+}
+
+// Title without a trailing year in parentheses ("Doctor Who (2005)" -> "Doctor Who")
+// A year that is part of the title stays ("Blade Runner 2049")
+function stripTitleYear(title) {
+    return title.replace(/\s*\((?:19|20)\d{2}\)$/, '');
+}
+
+// Count the character pairs of a string ("abab" -> ab: 2, ba: 1)
+function getBigrams(text) {
+    const bigrams = new Map();
+    for (let i = 0; i < text.length - 1; i++) {
+        const bigram = text.substring(i, i + 2);
+        bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+    }
+    return bigrams;
+}
+
+// Dice coefficient of the character pairs of two strings (1 = identical, 0 = nothing in common)
+function diceCoefficient(a, b) {
+    if (a === b) {
+        return 1;
+    }
+    if (a.length < 2 || b.length < 2) {
+        return 0;
+    }
+    const bigramsA = getBigrams(a);
+    const bigramsB = getBigrams(b);
+    let common = 0;
+    for (const [bigram, count] of bigramsA) {
+        common += Math.min(count, bigramsB.get(bigram) || 0);
+    }
+    return (2 * common) / (a.length - 1 + b.length - 1);
+}
+
+// Score how well a release name matches a title (0-1, rounded to 2 decimals)
+// Only the title part of the release is compared, as a whole and without spaces,
+// so "Breaking Bad" scores 1 for "Breaking.Bad.S01E01..." but only 0.64 for "Breaking.Point.S01E01..."
+function scoreTitleMatch(title, releaseName, year = null) {
+    const wanted = normalizeTitle(title).join('');
+    const found = normalizeTitle(getReleaseTitlePart(releaseName, year)).join('');
+    return Math.round(diceCoefficient(wanted, found) * 100) / 100;
+}
+
+// Longest episode range accepted in a multi-episode tag (S01E01-E99 is rather a typo than a release)
+const MAX_EPISODE_RANGE = 20;
+
+// Season and episodes of a release or file name as { season, episodes }:
+// S01E05 -> [5], multi-episode S01E01E02 / S01E01-E03 / S01E01-03 -> [1, 2] / [1, 2, 3],
+// a season pack (Show.S02.FLEMISH...) has episodes null. Returns null without a season tag
+function parseEpisodeTag(name) {
+    const episodeMatch = name.match(/(?<![a-z\d])S(\d{1,2})E(\d{1,3})((?:-?E\d{1,3})*)(?:-(\d{1,3}))?(?!\d)/i);
+    if (episodeMatch) {
+        const numbers = [episodeMatch[2], ...(episodeMatch[3].match(/\d+/g) || []), episodeMatch[4]]
+            .filter(Boolean)
+            .map(Number);
+        const first = Math.min(...numbers);
+        const last = Math.max(...numbers);
+        const episodes = last - first < MAX_EPISODE_RANGE
+            ? Array.from({ length: last - first + 1 }, (_, i) => first + i)
+            : [Number(episodeMatch[2])];
+        return { season: Number(episodeMatch[1]), episodes };
+    }
+    const seasonMatch = name.match(/(?<![a-z\d])S(\d{1,2})(?![a-z\d])/i);
+    return seasonMatch ? { season: Number(seasonMatch[1]), episodes: null } : null;
+}
+
+// Whether a tag from parseEpisodeTag covers an episode (a season pack covers its whole season)
+function tagCoversEpisode(tag, season, episode) {
+    return !!tag && tag.season === season && (!tag.episodes || tag.episodes.includes(episode));
+}
+
+module.exports = {
+    normalizeTitle,
+    getReleaseTitlePart,
+    stripTitleYear,
+    scoreTitleMatch,
+    parseEpisodeTag,
+    tagCoversEpisode
+};
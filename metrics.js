@@ -0,0 +1,98 @@
+// Minimal Prometheus metrics registry (text exposition format 0.0.4)
+// Counters, gauges and histograms with labels, rendered on /metrics
+
+// Default histogram buckets in seconds (pipeline stages take from milliseconds up to a minute)
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120];
+
+// name -> { type, help, buckets, series: Map(labelKey -> { labels, value | counts, sum, count }) }
+const metrics = new Map();
+
+// Register a metric (no-op if it already exists)
+function defineMetric(name, type, help, buckets = DEFAULT_BUCKETS) {
+    if (!metrics.has(name)) {
+        metrics.set(name, { type, help, buckets, series: new Map() });
+    }
+}
+
+// Get (or create) the series of a metric for a label set
+function getSeries(name, labels) {
+    const metric = metrics.get(name);
+    if (!metric) {
+        throw new Error(`Unknown metric: ${name}`);
+    }
+    const labelKey = JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+    let series = metric.series.get(labelKey);
+    if (!series) {
+        series = metric.type === 'histogram'
+            ? { labels, counts: metric.buckets.map(() => 0), sum: 0, count: 0 }
+            : { labels, value: 0 };
+        metric.series.set(labelKey, series);
+    }
+    return { metric, series };
+}
+
+// Increase a counter
+function incCounter(name, labels = {}, value = 1) {
+    getSeries(name, labels).series.value += value;
+}
+
+// Set a gauge
+function setGauge(name, labels = {}, value) {
+    getSeries(name, labels).series.value = value;
+}
+
+// Record a histogram observation (value in seconds)
+function observeHistogram(name, labels = {}, value) {
+    const { metric, series } = getSeries(name, labels);
+    metric.buckets.forEach((bucket, i) => {
+        if (value <= bucket) {
+            series.counts[i]++;
+        }
+    });
+    series.sum += value;
+    series.count++;
+}
+
+// Escape a label value for the exposition format
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// Format a label set as {a="1",b="2"} (empty string without labels)
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+        return '';
+    }
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+// Render all metrics in the Prometheus text format
+function renderMetrics() {
+    const lines = [];
+    for (const [name, metric] of metrics) {
+        lines.push(`# HELP ${name} ${metric.help}`);
+        lines.push(`# TYPE ${name} ${metric.type}`);
+        for (const series of metric.series.values()) {
+            if (metric.type !== 'histogram') {
+                lines.push(`${name}${formatLabels(series.labels)} ${series.value}`);
+                continue;
+            }
+            metric.buckets.forEach((bucket, i) => {
+                lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: bucket })} ${series.counts[i]}`);
+            });
+            lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${name}_sum${formatLabels(series.labels)} ${series.sum}`);
+            lines.push(`${name}_count${formatLabels(series.labels)} ${series.count}`);
+        }
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+    defineMetric,
+    incCounter,
+    setGauge,
+    observeHistogram,
+    renderMetrics
+};
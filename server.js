@@ -4,19 +4,50 @@ const axios = require('axios');
 const cheerio = require('cheerio');
 const puppeteer = require('puppeteer-extra');
 const StealthPlugin = require('puppeteer-extra-plugin-stealth');
-const { getConfig } = require('./config');
+const { getConfig, createAccessToken } = require('./config');
 const { execSync } = require('child_process');
-const { getCachedStreams, setCachedStreams } = require('./cache');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const {
+    getCachedStreams,
+    hasCachedStreams,
+    setCachedStreams,
+    getCachedMovieStreams,
+    setCachedMovieStreams,
+    getCacheKey,
+    getMovieCacheKey,
+    getCachedFailure,
+    setCachedFailure,
+    getFailureTtl,
+    getResolveEntry,
+    setResolveEntries,
+    flushCache,
+    clearCache,
+    getCacheStats,
+    listCacheEntries,
+    invalidateCacheEntry
+} = require('./cache');
+const {
+    getDebridProvider,
+    isDebridConfigured,
+    refreshHosterSupport,
+    filterSupportedHosterLinks,
+    unrestrictFirst
+} = require('./debrid');
+const { recordUnrestrictOutcome, recordStreamStart, rankHosterLinks, getHosterStats, flushStats } = require('./hosters');
+const { USER_CONFIG_FIELDS, parseUserConfig, getRequestConfig, renderConfigurePage } = require('./userconfig');
+const { renderDashboard } = require('./dashboard');
+const { defineMetric, incCounter, setGauge, observeHistogram, renderMetrics } = require('./metrics');
+const { createLogger, createRequestId, runWithLogContext, getRequestId } = require('./logger');
+const { scoreTitleMatch, stripTitleYear, parseEpisodeTag, tagCoversEpisode } = require('./matching');
+
+const log = createLogger('server');
 
 // Use stealth plugin to bypass Cloudflare detection
 puppeteer.use(StealthPlugin());
 
-const REALDEBRID_API_URL = 'https://api.real-debrid.com/rest/1.0';
 const CINEMETA_API_URL = 'https://v3-cinemeta.strem.io';
 
-// Dynamic base URL - updated from requests
-let dynamicBaseUrl = null;
-
 // Helper to check if host is localhost
 function isLocalhost(host) {
     if (!host) return true;
@@ -30,9 +61,10 @@ function getPublicBaseUrl() {
     if (config.server.publicBaseUrl) {
         return config.server.publicBaseUrl;
     }
-    // Use dynamically detected base URL from requests
-    if (dynamicBaseUrl) {
-        return dynamicBaseUrl;
+    // Use the host the current request was sent to (see requestContext), never the one of another request
+    const requestBaseUrl = requestContext.getStore()?.baseUrl;
+    if (requestBaseUrl) {
+        return requestBaseUrl;
     }
     // Fallback to localhost (HTTP for localhost)
     const httpPort = config.server.port || 7004;
@@ -44,13 +76,17 @@ const manifest = {
     id: 'org.streamzio.flemish',
     version: '1.0.0',
     name: 'Streamzio',
-    description: 'Flemish content from scnlog.me with Real-Debrid integration',
+    description: 'Flemish content from scnlog.me with Real-Debrid, AllDebrid, Premiumize or Debrid-Link integration',
     logo: 'http://localhost:7004/logo.jpg', // Will be updated dynamically
     background: '',
     types: ['series', 'movie'],
     catalogs: [],
     resources: ['stream'],
-    idPrefixes: ['tt'] // Enable for Cinemeta (IMDB) content
+    idPrefixes: ['tt'], // Enable for Cinemeta (IMDB) content
+    behaviorHints: {
+        configurable: true  // Users install through /configure with their own debrid key
+    },
+    config: USER_CONFIG_FIELDS
 };
 
 const builder = new addonBuilder(manifest);
@@ -64,12 +100,50 @@ let browserInitializing = false;
 let browserInitPromise = null;
 let cloudflareChallengeDetected = false;  // Track if Cloudflare challenge was detected
 let isBrowserHeadless = false;  // Track if current browser is in headless mode
+let forceVisibleBrowser = false;  // Visible mode requested through the admin API
 let activePages = new Set();  // Track active pages for cleanup
 let isShuttingDown = false;  // Track if we're shutting down
 let maxConcurrentRequests = 2;  // Maximum concurrent browser operations
 let activeRequestCount = 0;  // Current active browser operations
+let waitingInteractiveCount = 0;  // Interactive requests waiting for a browser slot
+const inFlightRequests = new Map();  // Stream requests in progress, keyed on type:id (request coalescing)
+const prefetchQueue = [];  // Background next-episode prefetch jobs
+const prefetchQueued = new Set();  // Episode keys with a queued prefetch
+let prefetchRunning = false;  // Whether the prefetch queue is being processed
 const MAX_PAGES_PER_BROWSER = 10;  // Maximum pages to prevent memory issues
+const MAX_POSTS_PER_REQUEST = 4;  // Maximum scnlog posts resolved per stream request
+const MAX_PACK_LISTINGS = 2;  // Hosters asked for the file list of a season pack before giving up
+const STREAM_REQUEST_TIMEOUT_MS = 120 * 1000;  // Whole stream pipeline, from search to hoster links
+const SEARCH_TIME_RESERVE_MS = 45 * 1000;  // Left of the request timeout for MultiUp and the hosters after searching
 let periodicCleanupInterval = null;  // Store interval ID for cleanup
+let hosterSupportInterval = null;  // Store interval ID for debrid host list refresh
+const resolvedUrls = new Map();  // Recently unrestricted download URLs per resolve token
+const RESOLVED_URL_TTL = 30 * 60 * 1000;  // Reuse an unrestricted URL for 30 minutes (player retries/seeks)
+const requestContext = new AsyncLocalStorage();  // Per-request data: { baseUrl, accessPrefix } (public URL and access token prefix)
+const PUBLIC_DIR = path.join(__dirname, 'public');  // The only directory served as static files
+const recentRequests = [];  // Last stream requests with stage timings (dashboard), newest first
+const MAX_RECENT_REQUESTS = 50;
+let accountStatusCache = null;  // Debrid account status for the dashboard: { providerId, status, error, fetchedAt }
+const ACCOUNT_STATUS_TTL = 5 * 60 * 1000;  // Refresh account status at most every 5 minutes
+const serverStartedAt = Date.now();
+const cacheLookups = { hit: 0, miss: 0 };  // For the cache hit ratio metric
+const readinessResults = new Map();  // Recent readiness result per component: { result, checkedAt }
+const READINESS_CACHE_TTL = 30 * 1000;  // Health check loops get the same result for 30 seconds
+const PREMIUM_WARNING_DAYS = 7;  // Readiness is degraded when premium expires within 7 days
+
+// Prometheus metrics (/metrics)
+defineMetric('streamzio_stream_requests_total', 'counter', 'Stream requests by type and outcome (ok, failed, empty, error)');
+defineMetric('streamzio_stage_duration_seconds', 'histogram', 'Duration of the stream pipeline stages');
+defineMetric('streamzio_cache_lookups_total', 'counter', 'Stream cache lookups by result (hit or miss)');
+defineMetric('streamzio_cache_hit_ratio', 'gauge', 'Stream cache hits divided by all lookups since start');
+defineMetric('streamzio_cloudflare_challenges_total', 'counter', 'Cloudflare challenges detected on MultiUp');
+defineMetric('streamzio_browser_launches_total', 'counter', 'Browser launches by mode (headless or visible)');
+defineMetric('streamzio_browser_restarts_total', 'counter', 'Browser restarts by reason');
+defineMetric('streamzio_browser_pages', 'gauge', 'Browser pages (open in the browser, tracked by the addon)');
+defineMetric('streamzio_browser_slots', 'gauge', 'Browser slots (active, max, waiting)');
+defineMetric('streamzio_inflight_requests', 'gauge', 'Stream requests currently in progress');
+defineMetric('streamzio_unrestrict_total', 'counter', 'Debrid unrestrict attempts by provider, hoster and result');
+defineMetric('streamzio_unrestrict_errors_total', 'counter', 'Debrid unrestrict errors by provider, hoster and error code');
 
 // Find Chrome/Chromium executable (works on macOS, Linux, Raspberry Pi)
 function findBrowserExecutable() {
@@ -112,13 +186,13 @@ function detectDisplay() {
     const xdgSessionType = process.env.XDG_SESSION_TYPE;
     
     if (waylandDisplay || xdgSessionType === 'wayland') {
-        console.log(`   🔍 Detected Wayland session - checking for XWayland...`);
+        log.debug(`   🔍 Detected Wayland session - checking for XWayland...`);
         // On Wayland, XWayland typically uses DISPLAY=:0 or :1
         // Check for XWayland sockets (doesn't require xdpyinfo)
         for (let i = 0; i <= 2; i++) {
             const xwaylandSocket = `/tmp/.X11-unix/X${i}`;
             if (fs.existsSync(xwaylandSocket)) {
-                console.log(`   ✅ Found XWayland socket - using DISPLAY=:${i}`);
+                log.debug(`   ✅ Found XWayland socket - using DISPLAY=:${i}`);
                 return `:${i}`;
             }
         }
@@ -126,7 +200,7 @@ function detectDisplay() {
         for (let i = 0; i <= 2; i++) {
             try {
                 execSync(`xdpyinfo -display :${i} > /dev/null 2>&1`, { timeout: 1000 });
-                console.log(`   ✅ XWayland display :${i} is accessible`);
+                log.debug(`   ✅ XWayland display :${i} is accessible`);
                 return `:${i}`;
             } catch (e) {
                 // xdpyinfo not available or display not accessible
@@ -134,7 +208,7 @@ function detectDisplay() {
         }
         // If XWayland detection fails, try :0 as default for Wayland
         // XWayland usually runs on :0 on Wayland systems
-        console.log(`   💡 Wayland detected - will try DISPLAY=:0 (XWayland default)`);
+        log.debug(`   💡 Wayland detected - will try DISPLAY=:0 (XWayland default)`);
         return ':0';
     }
     
@@ -147,7 +221,7 @@ function detectDisplay() {
         const x11Lock = '/tmp/.X0-lock';
         
         if (fs.existsSync(x11Socket) || fs.existsSync(x11Lock)) {
-            console.log(`   ✅ Detected X11 display socket - using DISPLAY=:0`);
+            log.debug(`   ✅ Detected X11 display socket - using DISPLAY=:0`);
             return ':0';
         }
         
@@ -155,7 +229,7 @@ function detectDisplay() {
         // This is more reliable but requires xdpyinfo to be installed
         try {
             execSync('xdpyinfo -display :0 > /dev/null 2>&1', { timeout: 1000 });
-            console.log(`   ✅ X11 display :0 is accessible`);
+            log.debug(`   ✅ X11 display :0 is accessible`);
             return ':0';
         } catch (e) {
             // xdpyinfo not available or X11 not accessible
@@ -166,7 +240,7 @@ function detectDisplay() {
         for (let i = 1; i <= 10; i++) {
             try {
                 execSync(`xdpyinfo -display :${i} > /dev/null 2>&1`, { timeout: 500 });
-                console.log(`   ✅ Detected X11 display :${i} (likely VNC)`);
+                log.debug(`   ✅ Detected X11 display :${i} (likely VNC)`);
                 return `:${i}`;
             } catch (e) {
                 // Not this display
@@ -188,7 +262,8 @@ async function getBrowser() {
             const pages = await globalBrowser.pages();
             // If we have too many pages, something is wrong - reset browser
             if (pages.length > MAX_PAGES_PER_BROWSER) {
-                console.log(`⚠️  Too many pages (${pages.length}), resetting browser...`);
+                log.warn(`⚠️  Too many pages (${pages.length}), resetting browser...`);
+                incCounter('streamzio_browser_restarts_total', { reason: 'too_many_pages' });
                 try {
                     await globalBrowser.close();
                 } catch (e) {}
@@ -198,7 +273,7 @@ async function getBrowser() {
                 return globalBrowser;
             }
         } catch (error) {
-            console.log(`⚠️  Browser connection check failed: ${error.message}, reinitializing...`);
+            log.warn(`⚠️  Browser connection check failed: ${error.message}, reinitializing...`);
             globalBrowser = null;
             activePages.clear();
         }
@@ -213,13 +288,13 @@ async function getBrowser() {
     browserInitializing = true;
     browserInitPromise = (async () => {
         try {
-            console.log(`🌐 Initializing browser instance (will be reused for all requests)...`);
+            log.info(`🌐 Initializing browser instance (will be reused for all requests)...`);
             
             const executablePath = findBrowserExecutable();
             if (executablePath) {
-                console.log(`✅ Found browser at: ${executablePath}`);
+                log.info(`✅ Found browser at: ${executablePath}`);
             } else {
-                console.log(`⚠️  Browser not found in common paths, trying default...`);
+                log.warn(`⚠️  Browser not found in common paths, trying default...`);
             }
             
             // Create user data directory for persistent cookies/session
@@ -239,21 +314,21 @@ async function getBrowser() {
             // Set DISPLAY environment variable if detected but not set
             if (detectedDisplay && !process.env.DISPLAY) {
                 process.env.DISPLAY = detectedDisplay;
-                console.log(`   🔧 Set DISPLAY=${detectedDisplay} for browser`);
+                log.debug(`   🔧 Set DISPLAY=${detectedDisplay} for browser`);
             }
             
             // Use headless mode if:
             // 1. No display available (headless server), OR
             // 2. Cookies exist AND no challenge was detected recently
             // Otherwise use visible browser for Cloudflare challenge (only if display is available)
-            const useHeadless = !hasDisplay || (hasCookies && !cloudflareChallengeDetected);
+            const useHeadless = !hasDisplay || (hasCookies && !cloudflareChallengeDetected && !forceVisibleBrowser);
             
             if (!hasDisplay) {
-                console.log(`   No DISPLAY detected - using headless mode (required for headless servers)`);
-                console.log(`   💡 Tip: If you have a display available, set DISPLAY in systemd service file`);
+                log.info(`   No DISPLAY detected - using headless mode (required for headless servers)`);
+                log.info(`   💡 Tip: If you have a display available, set DISPLAY in systemd service file`);
             } else {
-                console.log(`   Mode: ${useHeadless ? 'headless' : 'visible'} (cookies exist: ${hasCookies}, challenge detected: ${cloudflareChallengeDetected})`);
-                console.log(`   Display: ${process.env.DISPLAY || detectedDisplay}`);
+                log.info(`   Mode: ${useHeadless ? 'headless' : 'visible'} (cookies exist: ${hasCookies}, challenge detected: ${cloudflareChallengeDetected}, forced visible: ${forceVisibleBrowser})`);
+                log.debug(`   Display: ${process.env.DISPLAY || detectedDisplay}`);
             }
             
             // Browser args optimized for speed and Raspberry Pi compatibility
@@ -291,7 +366,8 @@ async function getBrowser() {
                 args: browserArgs
             });
             
-            console.log(`✅ Browser initialized and ready (${finalHeadless ? 'headless' : 'visible'} mode)`);
+            log.info(`✅ Browser initialized and ready (${finalHeadless ? 'headless' : 'visible'} mode)`);
+            incCounter('streamzio_browser_launches_total', { mode: finalHeadless ? 'headless' : 'visible' });
             
             // Track headless state
             isBrowserHeadless = finalHeadless;
@@ -299,7 +375,8 @@ async function getBrowser() {
             // Handle browser disconnection (remove existing listeners first to prevent duplicates)
             globalBrowser.removeAllListeners('disconnected');
             globalBrowser.on('disconnected', () => {
-                console.log(`⚠️  Browser disconnected, cleaning up and will reinitialize on next request`);
+                log.warn(`⚠️  Browser disconnected, cleaning up and will reinitialize on next request`);
+                incCounter('streamzio_browser_restarts_total', { reason: 'disconnected' });
                 // Close all active pages
                 activePages.forEach(page => {
                     try {
@@ -318,7 +395,7 @@ async function getBrowser() {
         } catch (error) {
             browserInitializing = false;
             browserInitPromise = null;
-            console.error(`❌ Failed to initialize browser: ${error.message}`);
+            log.error(`❌ Failed to initialize browser: ${error.message}`);
             throw error;
         }
     })();
@@ -326,6 +403,73 @@ async function getBrowser() {
     return await browserInitPromise;
 }
 
+// Close the browser and start a new one (admin API)
+// visible: force a visible window, e.g. to solve a Cloudflare challenge by hand (needs a display)
+// Requests using the old browser fail and are retried by the player
+async function restartBrowser(visible = false) {
+    if (visible && detectDisplay() === null) {
+        throw new Error('No display available for a visible browser');
+    }
+    forceVisibleBrowser = visible;
+    
+    // Wait for a browser that is still starting, then close it
+    if (browserInitPromise) {
+        await browserInitPromise.catch(() => {});
+    }
+    const browser = globalBrowser;
+    globalBrowser = null;
+    browserInitializing = false;
+    browserInitPromise = null;
+    isBrowserHeadless = false;
+    activePages.clear();
+    if (browser) {
+        browser.removeAllListeners('disconnected');
+        try {
+            await browser.close();
+        } catch (e) {
+            // Browser might already be closed
+        }
+    }
+    
+    log.info(`🔄 Restarting browser${visible ? ' in visible mode' : ''} (admin request)...`);
+    incCounter('streamzio_browser_restarts_total', { reason: 'admin' });
+    await getBrowser();
+    return getBrowserState();
+}
+
+// Current browser state and slot usage
+function getBrowserState() {
+    return {
+        running: !!(globalBrowser && globalBrowser.isConnected()),
+        initializing: browserInitializing,
+        headless: isBrowserHeadless,
+        forceVisible: forceVisibleBrowser,
+        cloudflareChallengeDetected,
+        trackedPages: activePages.size,
+        slots: {
+            active: activeRequestCount,
+            max: maxConcurrentRequests,
+            waitingInteractive: waitingInteractiveCount
+        }
+    };
+}
+
+// Stream requests in progress and queued prefetches
+function getInFlightState() {
+    const now = Date.now();
+    return {
+        requests: Array.from(inFlightRequests, ([key, inFlight]) => ({
+            key,
+            waiters: inFlight.waiters,
+            background: inFlight.background,
+            startedAt: new Date(inFlight.startedAt).toISOString(),
+            runningMs: now - inFlight.startedAt
+        })),
+        prefetchQueue: prefetchQueue.map(job => job.key),
+        prefetchRunning
+    };
+}
+
 // Periodic cleanup of orphaned pages (every 2 minutes - more aggressive)
 function startPeriodicCleanup() {
     // Clear existing interval if any
@@ -397,33 +541,63 @@ function startPeriodicCleanup() {
             
             // Log page counts for monitoring
             const finalBrowserPages = await globalBrowser.pages();
+            setGauge('streamzio_browser_pages', { kind: 'browser' }, finalBrowserPages.length);
+            setGauge('streamzio_browser_pages', { kind: 'tracked' }, activePages.size);
             if (finalBrowserPages.length > 1 || activePages.size > 0) {
-                console.log(`🧹 Cleanup: ${finalBrowserPages.length} browser pages, ${activePages.size} tracked pages`);
+                log.debug(`🧹 Cleanup: ${finalBrowserPages.length} browser pages, ${activePages.size} tracked pages`);
             }
         } catch (error) {
-            console.log(`⚠️  Error during periodic cleanup: ${error.message}`);
+            log.warn(`⚠️  Error during periodic cleanup: ${error.message}`);
         }
     }, 2 * 60 * 1000); // Every 2 minutes (more aggressive)
 }
 
+// Periodic refresh of the debrid provider's supported hosts and host status (every 30 minutes)
+function startHosterSupportRefresh() {
+    if (hosterSupportInterval) {
+        clearInterval(hosterSupportInterval);
+    }
+    const refresh = () => {
+        const provider = getDebridProvider(getConfig());
+        if (provider) {
+            refreshHosterSupport(provider).catch(() => {});
+        }
+    };
+    refresh();
+    hosterSupportInterval = setInterval(refresh, 30 * 60 * 1000);
+}
+
 // Pre-start browser on server startup for faster first request
 async function preStartBrowser() {
     try {
-        console.log(`🚀 Pre-starting browser for faster first request...`);
+        log.info(`🚀 Pre-starting browser for faster first request...`);
         await getBrowser();
-        console.log(`✅ Browser pre-started successfully`);
+        log.info(`✅ Browser pre-started successfully`);
         
         // Start periodic cleanup
         startPeriodicCleanup();
     } catch (error) {
-        console.log(`⚠️  Browser pre-start failed (will start on first request): ${error.message}`);
+        log.warn(`⚠️  Browser pre-start failed (will start on first request): ${error.message}`);
     }
 }
 
 // Helper function to wait for available slot in request queue
-async function waitForBrowserSlot() {
-    while (activeRequestCount >= maxConcurrentRequests) {
-        await new Promise(resolve => setTimeout(resolve, 100));
+// Background work (prefetch) always leaves one slot free and yields to waiting interactive requests
+async function waitForBrowserSlot(background = false) {
+    if (background) {
+        const backgroundLimit = Math.max(1, maxConcurrentRequests - 1);
+        while (activeRequestCount >= backgroundLimit || waitingInteractiveCount > 0) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+    } else {
+        waitingInteractiveCount++;
+        try {
+            while (activeRequestCount >= maxConcurrentRequests) {
+                await new Promise(resolve => setTimeout(resolve, 100));
+            }
+        } finally {
+            waitingInteractiveCount--;
+        }
     }
     activeRequestCount++;
 }
@@ -452,18 +626,18 @@ async function cleanupBrowserPages() {
         }
     } catch (cleanupError) {
         // Don't fail if cleanup fails
-        console.log(`⚠️  Cleanup warning: ${cleanupError.message}`);
+        log.warn(`⚠️  Cleanup warning: ${cleanupError.message}`);
     }
 }
 
 // Fetch MultiUp page using Puppeteer (handles Cloudflare automatically)
-async function fetchMultiUpPage(url) {
+async function fetchMultiUpPage(url, options = {}) {
     let browser = null;
     let page = null;
     let needsVisibleBrowser = false;
     
     // Wait for available slot
-    await waitForBrowserSlot();
+    await waitForBrowserSlot(options.background);
     
     try {
         browser = await getBrowser();
@@ -476,7 +650,7 @@ async function fetchMultiUpPage(url) {
         // Check page limit before creating new page
         const currentPages = await browser.pages();
         if (currentPages.length >= MAX_PAGES_PER_BROWSER) {
-            console.log(`⚠️  Too many pages (${currentPages.length}), cleaning up before creating new page...`);
+            log.warn(`⚠️  Too many pages (${currentPages.length}), cleaning up before creating new page...`);
             // Close all pages except the default blank page
             for (let i = currentPages.length - 1; i > 0; i--) {
                 const p = currentPages[i];
@@ -504,13 +678,13 @@ async function fetchMultiUpPage(url) {
         
         // Handle page errors
         page.on('error', (error) => {
-            console.log(`⚠️  Page error: ${error.message}`);
+            log.warn(`⚠️  Page error: ${error.message}`);
         });
         
         page.on('pageerror', (error) => {
-            console.log(`⚠️  Page JS error: ${error.message}`);
+            log.warn(`⚠️  Page JS error: ${error.message}`);
         });
-        console.log(`📄 Fetching page with Puppeteer: ${url}`);
+        log.debug(`📄 Fetching page with Puppeteer: ${url}`);
         
         // Set realistic browser properties (optimized)
         await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
@@ -534,7 +708,8 @@ async function fetchMultiUpPage(url) {
         const pageContent = await page.content();
         
         if (pageTitle.includes('Just a moment') || pageContent.includes('challenges.cloudflare.com')) {
-            console.log(`⚠️  Cloudflare challenge detected!`);
+            log.warn(`⚠️  Cloudflare challenge detected!`);
+            incCounter('streamzio_cloudflare_challenges_total');
             
             // Detect display (checks DISPLAY env var and X11 availability)
             const detectedDisplay = detectDisplay();
@@ -547,7 +722,8 @@ async function fetchMultiUpPage(url) {
             
             // If we're in headless mode and got a challenge, restart in visible mode (only if display is available)
             if (isBrowserHeadless && hasDisplay) {
-                console.log(`🔄 Cookies niet meer geldig! Browser opent opnieuw in visible mode voor Cloudflare challenge...`);
+                log.info(`🔄 Cookies no longer valid! Reopening browser in visible mode for the Cloudflare challenge...`);
+                incCounter('streamzio_browser_restarts_total', { reason: 'cloudflare_challenge' });
                 cloudflareChallengeDetected = true;
                 needsVisibleBrowser = true;
                 
@@ -610,10 +786,10 @@ async function fetchMultiUpPage(url) {
                 // Set page timeout and error handlers again
                 page.setDefaultTimeout(60000);
                 page.on('error', (error) => {
-                    console.log(`⚠️  Page error: ${error.message}`);
+                    log.warn(`⚠️  Page error: ${error.message}`);
                 });
                 page.on('pageerror', (error) => {
-                    console.log(`⚠️  Page JS error: ${error.message}`);
+                    log.warn(`⚠️  Page JS error: ${error.message}`);
                 });
                 
                 // Set properties again
@@ -626,7 +802,7 @@ async function fetchMultiUpPage(url) {
                 });
                 
                 // Navigate again
-                console.log(`📄 Opnieuw navigeren met visible browser...`);
+                log.info(`📄 Navigating again with visible browser...`);
                 await page.goto(url, {
                     waitUntil: 'networkidle2',
                     timeout: 60000
@@ -636,18 +812,18 @@ async function fetchMultiUpPage(url) {
                 const newPageTitle = await page.title();
                 const newPageContent = await page.content();
                 if (newPageTitle.includes('Just a moment') || newPageContent.includes('challenges.cloudflare.com')) {
-                    console.log(`⚠️  Browser venster is nu zichtbaar - voltooi de Cloudflare challenge handmatig`);
+                    log.warn(`⚠️  Browser window is now visible - complete the Cloudflare challenge manually`);
                 }
             } else if (isBrowserHeadless && !hasDisplay) {
-                console.log(`⚠️  Cloudflare challenge detected but no display available - waiting in headless mode...`);
-                console.log(`   💡 On headless servers, Cloudflare may need manual intervention or cookies from another machine`);
+                log.warn(`⚠️  Cloudflare challenge detected but no display available - waiting in headless mode...`);
+                log.info(`   💡 On headless servers, Cloudflare may need manual intervention or cookies from another machine`);
             } else {
-                console.log(`⚠️  Browser is al in visible mode - voltooi de Cloudflare challenge handmatig`);
+                log.warn(`⚠️  Browser is already in visible mode - complete the Cloudflare challenge manually`);
             }
         }
         
         // Wait for Cloudflare challenge to complete
-        console.log(`⏳ Waiting for Cloudflare challenge...`);
+        log.info(`⏳ Waiting for Cloudflare challenge...`);
         try {
             await Promise.race([
                 page.waitForSelector('h2', { timeout: 45000 }),
@@ -656,42 +832,42 @@ async function fetchMultiUpPage(url) {
                     { timeout: 45000 }
                 )
             ]);
-            console.log(`✅ Cloudflare challenge passed`);
+            log.info(`✅ Cloudflare challenge passed`);
             
             // Reset challenge flag after successful pass
             if (needsVisibleBrowser) {
                 cloudflareChallengeDetected = false;
-                console.log(`✅ Cookies opgeslagen - volgende requests gebruiken headless mode`);
+                log.info(`✅ Cookies saved - next requests use headless mode`);
             }
         } catch (e) {
-            console.log(`⚠️  Still waiting for Cloudflare...`);
+            log.warn(`⚠️  Still waiting for Cloudflare...`);
             await page.waitForTimeout(3000);
         }
         
         // Wait for h2 element (like MultiUp-Direct)
         try {
             await page.waitForSelector('h2', { timeout: 30000 });
-            console.log(`✅ Page content loaded`);
+            log.debug(`✅ Page content loaded`);
         } catch (e) {
-            console.log(`⚠️  h2 element not found, continuing anyway...`);
+            log.warn(`⚠️  h2 element not found, continuing anyway...`);
         }
         
         // Get page HTML
         const pageHtml = await page.content();
-        console.log(`✅ Got HTML (length: ${pageHtml.length})`);
+        log.debug(`✅ Got HTML (length: ${pageHtml.length})`);
         
         // Final check - if we still have Cloudflare challenge, user needs to complete it manually
         if (pageHtml.includes('Just a moment') || pageHtml.includes('challenges.cloudflare.com')) {
-            console.log(`⚠️  ⚠️  ⚠️  Nog steeds op Cloudflare challenge pagina!`);
-            console.log(`   💡 Voltooi de challenge handmatig in het browser venster`);
-            console.log(`   💡 Na voltooiing worden cookies opgeslagen voor volgende requests`);
+            log.warn(`⚠️  Still on the Cloudflare challenge page!`);
+            log.info(`   💡 Complete the challenge manually in the browser window`);
+            log.info(`   💡 Cookies are saved afterwards for the next requests`);
         }
         
         // Cookies are automatically saved to .browser-data by Puppeteer
         
         return pageHtml;
     } catch (error) {
-        console.error(`❌ Error fetching MultiUp page: ${error.message}`);
+        log.error(`❌ Error fetching MultiUp page: ${error.message}`);
         throw error;
     } finally {
         // Always cleanup page - ensure it's closed and removed from tracking
@@ -711,114 +887,501 @@ async function fetchMultiUpPage(url) {
     }
 }
 
-// Fetch title from IMDB ID using Cinemeta
-async function getTitleFromImdbId(imdbId, type) {
+// Fetch meta (name, year, videos) from IMDB ID using Cinemeta
+async function getMetaFromImdbId(imdbId, type) {
     try {
-        console.log(`🔍 Fetching title from Cinemeta for ${imdbId}`);
+        log.debug(`🔍 Fetching meta from Cinemeta for ${imdbId}`);
         const response = await axios.get(`${CINEMETA_API_URL}/meta/${type}/${imdbId}.json`, {
             timeout: 10000
         });
         
         if (response.data && response.data.meta && response.data.meta.name) {
-            const title = response.data.meta.name;
-            console.log(`✅ Found title: ${title}`);
-            return title;
+            return response.data.meta;
         }
         return null;
     } catch (error) {
-        console.error(`❌ Error fetching title from Cinemeta:`, error.message);
+        log.error(`❌ Error fetching meta from Cinemeta:`, error.message);
+        return null;
+    }
+}
+
+// Fetch title from IMDB ID using Cinemeta
+// Returns { title, originalTitle, meta } (originalTitle is null when Cinemeta has none)
+async function getTitleFromImdbId(imdbId, type) {
+    const meta = await getMetaFromImdbId(imdbId, type);
+    if (!meta) {
         return null;
     }
+    log.info(`✅ Found title: ${meta.name}`);
+    return { title: meta.name, originalTitle: getOriginalTitle(meta), meta };
+}
+
+// Original title of a Cinemeta meta when it differs from the (often English) display name
+function getOriginalTitle(meta) {
+    return meta.originalTitle && meta.originalTitle !== meta.name ? meta.originalTitle : null;
+}
+
+// Extract release year from Cinemeta meta ("2019", "2019–2021" or releaseInfo)
+function getYearFromMeta(meta) {
+    const yearSource = meta.year || meta.releaseInfo || '';
+    const yearMatch = yearSource.toString().match(/(\d{4})/);
+    return yearMatch ? parseInt(yearMatch[1]) : null;
 }
 
-// Helper function to format title for search
-function formatTitleForSearch(title, season, episode) {
+// Helper function to normalize a title into a search-friendly string
+function normalizeSearchTitle(title) {
     // Replace special characters with spaces for better matching
-    let searchTitle = title
+    return title
+        .normalize('NFD')
+        .replace(/\p{M}/gu, '')    // Café -> Cafe (\w doesn't cover accented letters)
+        .replace(/\b(?:\w\.){2,}/g, match => `${match.replace(/\./g, '')} `)  // F.C. -> FC
         .replace(/[^\w\s]/g, ' ')  // Replace special chars with spaces
         .replace(/\s+/g, ' ')       // Normalize multiple spaces to single space
         .trim();
+}
+
+// Air date of an episode (YYYY-MM-DD, Belgian time) from Cinemeta's videos list, null when unknown
+// Cinemeta stores it as a UTC timestamp, a show airing at 20:00 in Brussels would be the day before in UTC
+function getEpisodeAirDate(meta, season, episode) {
+    const video = (meta?.videos || []).find(video => video.season === season && video.episode === episode);
+    if (!video || !video.released) {
+        return null;
+    }
+    const released = new Date(video.released);
+    if (isNaN(released.getTime())) {
+        return null;
+    }
+    return released.toLocaleDateString('en-CA', { timeZone: 'Europe/Brussels' });  // en-CA formats as YYYY-MM-DD
+}
+
+// How an episode can be named in release names, in the order they are searched:
+// SxxEyy (episode naming), the air date like Thuis.2024.10.18 (date naming, daily shows)
+// and the season alone for season packs (season naming, Show.S02.FLEMISH...)
+// releaseNaming[imdbId] in the config picks SxxEyy or date, by default all are tried when the air date is known
+// Returns [{ naming, query, match }] - query is appended to the title, match(releaseName) returns the
+// release's { season, episodes } (see parseEpisodeTag, episodes null for a season pack) or null when it doesn't fit
+function getEpisodeFormats(imdbId, season, episode, airDate) {
+    const naming = getConfig().releaseNaming[imdbId] || 'auto';
+    const useEpisodeNaming = naming !== 'date' || !airDate;
+    const formats = [];
     
-    // Format season and episode as SxxExx
+    // S01E08, S1E8, multi-episode releases with episode 8 and season packs (but not S01E80 for episode 8)
+    const matchEpisode = releaseName => {
+        const tag = parseEpisodeTag(releaseName);
+        return tagCoversEpisode(tag, season, episode) ? tag : null;
+    };
     const seasonStr = season.toString().padStart(2, '0');
-    const episodeStr = episode.toString().padStart(2, '0');
+    if (useEpisodeNaming) {
+        formats.push({ naming: 'episode', query: `S${seasonStr}E${episode.toString().padStart(2, '0')}`, match: matchEpisode });
+    }
+    if (naming !== 'episode' && airDate) {
+        const [year, month, day] = airDate.split('-');
+        const pattern = new RegExp(`(?<!\\d)${year}[. _-]${month}[. _-]${day}(?!\\d)`);
+        formats.push({
+            naming: 'date',
+            query: `${year} ${month} ${day}`,
+            match: releaseName => (pattern.test(releaseName) ? { season, episodes: [episode] } : null)
+        });
+    }
+    if (useEpisodeNaming) {
+        formats.push({ naming: 'season', query: `S${seasonStr}`, match: matchEpisode });
+    }
+    return formats;
+}
+
+// Helper function to format title for search (title + SxxEyy or air date, see getEpisodeFormats)
+function formatTitleForSearch(title, episodeFormat) {
+    // Search with title + episode, scnlog.me will handle the matching
+    return `${normalizeSearchTitle(title)} ${episodeFormat.query}`;
+}
+
+// Short form of a title: the part before a subtitle ("Mission: Impossible - Dead Reckoning" -> "Mission")
+// or the first two words of a longer title
+function getShortTitle(title) {
+    const [prefix] = title.split(/\s*(?::|\s-\s|–|—|\()\s*/);
+    if (prefix && prefix !== title) {
+        return prefix;
+    }
+    const words = title.split(/\s+/);
+    return words.length > 2 ? words.slice(0, 2).join(' ') : null;
+}
+
+// Titles to search scnlog.me with, in order, as [{ strategy, title }]
+// The Cinemeta title comes first, the others are only tried when it finds nothing:
+// aliases (config.aliases, the release names used by Flemish broadcasters), the original title,
+// the title without a trailing "(YYYY)" ("Doctor Who (2005)") and a short prefix of the title
+function getSearchTitles(imdbId, title, originalTitle = null) {
+    const aliases = [].concat(getConfig().aliases[imdbId] || []);
+    const searchTitles = [
+        { strategy: 'title', title },
+        ...aliases.map(alias => ({ strategy: 'alias', title: alias })),
+        { strategy: 'original_title', title: originalTitle },
+        { strategy: 'without_year', title: stripTitleYear(title) },
+        { strategy: 'short_title', title: getShortTitle(title) }
+    ];
     
-    // Search with title + season/episode, scnlog.me will handle the matching
-    return `${searchTitle} S${seasonStr}E${episodeStr}`;
+    // Skip missing titles and titles that give the same search query as an earlier one
+    const seenQueries = new Set();
+    return searchTitles.filter(searchTitle => {
+        const query = searchTitle.title ? normalizeSearchTitle(searchTitle.title).toLowerCase() : '';
+        if (!query || seenQueries.has(query)) {
+            return false;
+        }
+        seenQueries.add(query);
+        return true;
+    });
 }
 
-// Search scnlog.me for content
-async function searchScnlog(title, season, episode) {
-    try {
-        const searchQuery = formatTitleForSearch(title, season, episode);
-        console.log(`🔍 Searching scnlog.me for: ${searchQuery}`);
+// Describe a search for the log: 'alias "FC De Kampioenen" (date naming)'
+function describeSearch(searchTitle) {
+    return `${searchTitle.strategy.replace('_', ' ')} "${searchTitle.title}"${searchTitle.naming ? ` (${searchTitle.naming} naming)` : ''}`;
+}
+
+// Search budget of one stream request (see createSearchBudget): whether another result page may be read
+function canReadSearchPage(budget) {
+    return budget.pagesLeft > 0 && Date.now() < budget.deadline;
+}
+
+// Create the search budget of a stream request: { pagesLeft, deadline }
+// pagesLeft counts down the result pages over all queries (scnlog.maxPagesPerRequest),
+// no search starts after deadline so the rest of the pipeline fits in the request timeout
+function createSearchBudget(requestStartTime) {
+    return {
+        pagesLeft: Math.max(1, getConfig().scnlog.maxPagesPerRequest),
+        deadline: requestStartTime + STREAM_REQUEST_TIMEOUT_MS - SEARCH_TIME_RESERVE_MS
+    };
+}
+
+// Try the search titles in turn until one finds matching posts
+// search(searchTitle) runs one scnlog search and returns { posts, error },
+// the strategy (and episode naming) that worked is kept in record.search
+// Returns { posts, error } - error is set when nothing was found and a search failed (scnlog down or slow)
+// or the time budget ran out before every title was tried, the posts might exist then
+async function searchWithFallback(searchTitles, record, search, budget) {
+    let searchError = null;
+    for (const [index, searchTitle] of searchTitles.entries()) {
+        if (Date.now() >= budget.deadline) {
+            log.warn(`⏱️  No time left to search, skipping ${searchTitles.length - index} more search(es)`);
+            return { posts: [], error: searchError || 'Search time budget used up' };
+        }
+        if (budget.pagesLeft <= 0) {
+            log.warn(`📄 Read ${getConfig().scnlog.maxPagesPerRequest} result pages, skipping ${searchTitles.length - index} more search(es)`);
+            break;
+        }
+        if (index > 0) {
+            log.info(`🔁 Trying ${describeSearch(searchTitle)}`);
+        }
+        const { posts, error } = await search(searchTitle);
+        searchError = searchError || error;
+        if (posts.length > 0) {
+            if (record?.search) {
+                record.search.strategy = searchTitle.strategy;
+                record.search.naming = searchTitle.naming || null;
+            }
+            if (index > 0) {
+                log.info(`✅ Found via ${describeSearch(searchTitle)}`);
+            }
+            return { posts, error: null };
+        }
+    }
+    return { posts: [], error: searchError };
+}
+
+// Search strategies whose title is only a shortened query - releases are never scored against it,
+// another show named like the prefix ("Thuis" for "Thuis: Het Onverwachte") would score 1
+const QUERY_ONLY_STRATEGIES = new Set(['without_year', 'short_title']);
+
+// Titles releases are scored against: the Cinemeta title, the aliases and the original title,
+// each also without a trailing year ("Skam (2018)" has Skam.S01E01 releases)
+function getMatchTitles(searchTitles) {
+    const titles = searchTitles
+        .filter(searchTitle => !QUERY_ONLY_STRATEGIES.has(searchTitle.strategy))
+        .flatMap(searchTitle => [searchTitle.title, stripTitleYear(searchTitle.title)]);
+    return [...new Set(titles)];
+}
+
+// Score a release name against the titles of the show (see getMatchTitles), the best one counts
+function scoreRelease(matchTitles, releaseName, year = null) {
+    return Math.max(...matchTitles.map(title => scoreTitleMatch(title, releaseName, year)));
+}
+
+// Helper function to format movie title for search (Title Year)
+function formatMovieTitleForSearch(title, year) {
+    const searchTitle = normalizeSearchTitle(title);
+    return year ? `${searchTitle} ${year}` : searchTitle;
+}
+
+// Fetch a scnlog.me search results page
+async function fetchScnlogSearchPage(searchUrl) {
+    const response = await axios.get(searchUrl, {
+        headers: {
+            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+        },
+        timeout: 15000  // Reduced from 30s to 15s for faster failure
+    });
+    return cheerio.load(response.data);
+}
+
+// URL of the next search results page (WordPress pagination), null on the last page
+function getNextScnlogPageUrl($) {
+    const next = $('link[rel="next"]').attr('href') ||
+                 $('a.next.page-numbers').attr('href') ||
+                 $('.nav-previous a').attr('href');
+    return next ? getPostUrl(next) : null;
+}
+
+// Whether a result link is a post in one of the accepted categories (scnlog.categories, e.g. /foreign/)
+function isAcceptedScnlogPost(href, categories) {
+    return [].concat(categories).some(category => href.includes(`/${category.replace(/^\/+|\/+$/g, '')}/`));
+}
+
+// Read the scnlog.me search results of a query page by page, up to scnlog.maxSearchPages
+// visit(href, text) is called for every post link in an accepted category
+// Stops after a page once isConfident() reports a good enough match, when there is no next page,
+// when the first page has no post in an accepted category at all or when the request's search budget is spent
+// Returns { pages, error } - the number of pages read and the error of a failing later page
+// (the results so far are kept, a failing first page throws)
+async function visitScnlogSearchResults(searchQuery, visit, isConfident, budget) {
+    const { maxSearchPages, categories } = getConfig().scnlog;
+    let url = `https://scnlog.me/?s=${encodeURIComponent(searchQuery)}`;
+    let pages = 0;
+    while (url && pages < Math.max(1, maxSearchPages) && (pages === 0 || canReadSearchPage(budget))) {
+        let $;
+        try {
+            $ = await fetchScnlogSearchPage(url);
+        } catch (error) {
+            if (pages === 0) {
+                throw error;
+            }
+            log.warn(`⚠️  Error reading scnlog.me results page ${pages + 1} for ${searchQuery}: ${error.message}`);
+            return { pages, error: error.message };
+        }
+        pages++;
+        budget.pagesLeft--;
         
-        // Search on scnlog.me
-        const searchUrl = `https://scnlog.me/?s=${encodeURIComponent(searchQuery)}`;
-        const response = await axios.get(searchUrl, {
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-            },
-            timeout: 15000  // Reduced from 30s to 15s for faster failure
+        let accepted = 0;
+        $('a').each((i, elem) => {
+            const href = $(elem).attr('href');
+            if (href && isAcceptedScnlogPost(href, categories)) {
+                accepted++;
+                visit(href, $(elem).text());
+            }
         });
         
-        const $ = cheerio.load(response.data);
-        
-        // Find the first matching post link
-        let postUrl = null;
-        const titleLower = title.toLowerCase();
-        // Extract key words from title (remove common words, keep important ones)
-        const titleWords = titleLower
-            .split(/\s+/)
-            .filter(word => word.length > 2) // Filter out short words like "de", "the", etc.
-            .filter(word => !['the', 'and', 'or', 'but', 'for', 'with'].includes(word));
+        // Results are newest first: a query without any accepted post on page 1 won't have one further down
+        if (isConfident() || (pages === 1 && accepted === 0)) {
+            break;
+        }
+        url = getNextScnlogPageUrl($);
+        if (url && pages < maxSearchPages && canReadSearchPage(budget)) {
+            log.info(`📄 No confident match yet, reading results page ${pages + 1} for: ${searchQuery}`);
+        }
+    }
+    return { pages, error: null };
+}
+
+// Whether one of the matching posts is good enough to stop reading result pages (scnlog.confidentMatchScore)
+function hasConfidentMatch(posts) {
+    const { confidentMatchScore } = getConfig().scnlog;
+    return posts.some(post => post.score >= confidentMatchScore);
+}
+
+// Absolute scnlog.me URL of a search result link
+function getPostUrl(href) {
+    return href.startsWith('http') ? href : `https://scnlog.me${href}`;
+}
+
+// Add a matching search result to the candidate list (skips duplicate post URLs)
+// tag is the season/episodes the release covers (see parseEpisodeTag), null for movies
+function addPostCandidate(posts, href, text, score, tag = null) {
+    const url = getPostUrl(href);
+    if (posts.some(post => post.url === url)) {
+        return;
+    }
+    posts.push({ url, title: text.trim(), score, tag });
+}
+
+// Whether a release covers more than one episode (season pack or multi-episode release)
+function isPackTag(tag) {
+    return !!tag && (!tag.episodes || tag.episodes.length > 1);
+}
+
+// Best matching releases first, single episodes before packs with the same score
+// (Array.prototype.sort is stable - otherwise equal scores keep the scnlog order)
+function rankByScore(items) {
+    return items.sort((a, b) => b.score - a.score || isPackTag(a.tag) - isPackTag(b.tag));
+}
+
+// Record a search query in the request trace: record.search = { strategy, naming, attempts }
+// strategy and naming are the ones that found posts, every query is an attempt { strategy, naming, query, pages, candidates, error }
+// (pages: the result pages read)
+// candidates: [{ url, title, score, matched, reason }] (reason says why a release was skipped),
+// filled in while the results are parsed
+function recordSearchAttempt(record, searchTitle, query) {
+    const attempt = { strategy: searchTitle.strategy, naming: searchTitle.naming || null, query, pages: 0, candidates: [], error: null };
+    if (record) {
+        record.search = record.search || { strategy: null, naming: null, attempts: [] };
+        record.search.attempts.push(attempt);
+    }
+    return attempt;
+}
+
+// Add a search result to the trace candidates (skips duplicate post URLs)
+function addTraceCandidate(candidates, href, text, score, reason) {
+    const url = getPostUrl(href);
+    if (candidates.some(candidate => candidate.url === url)) {
+        return;
+    }
+    candidates.push({
+        url,
+        title: text.trim(),
+        score,
+        matched: !reason,
+        reason: reason || null
+    });
+}
+
+// Search scnlog.me for an episode, trying the search titles (see getSearchTitles) in turn,
+// each with every episode format (see getEpisodeFormats)
+// Returns { posts, error } (see searchWithFallback) with the matching posts best match first as [{ url, title, score, tag }],
+// the considered releases go to record.search
+// budget limits the result pages and time of the whole request (see createSearchBudget)
+function searchScnlog(searchTitles, episodeFormats, budget, record = null) {
+    const searches = searchTitles.flatMap(searchTitle =>
+        episodeFormats.map(episodeFormat => ({ ...searchTitle, naming: episodeFormat.naming, episodeFormat })));
+    return searchWithFallback(searches, record, search =>
+        searchScnlogTitle(search, getMatchTitles(searchTitles), search.episodeFormat, budget, record), budget);
+}
+
+// Search scnlog.me for an episode with one search title and episode format
+// Every release of the episode is scored against matchTitles (see getMatchTitles and matching.js), releases below
+// scnlog.minMatchScore are rejected so a show sharing words with the title is not picked
+async function searchScnlogTitle(searchTitle, matchTitles, episodeFormat, budget, record) {
+    const searchQuery = formatTitleForSearch(searchTitle.title, episodeFormat);
+    const attempt = recordSearchAttempt(record, searchTitle, searchQuery);
+    const { candidates } = attempt;
+    try {
+        log.info(`🔍 Searching scnlog.me for: ${searchQuery}`);
         
-        // Season/episode pattern - flexible matching (S01E08, S1E8, etc.)
-        const seasonStr = season.toString().padStart(2, '0');
-        const episodeStr = episode.toString().padStart(2, '0');
-        const searchPattern = new RegExp(`S0?${season}[Ee]0?${episode}`, 'i');
+        // Collect all matching post links (different qualities / scene groups)
+        const posts = [];
+        const { minMatchScore } = getConfig().scnlog;
         
-        $('a').each((i, elem) => {
-            const href = $(elem).attr('href');
-            const text = $(elem).text();
+        const { pages, error: pageError } = await visitScnlogSearchResults(searchQuery, (href, text) => {
+            const score = scoreRelease(matchTitles, text);
             
-            if (href && href.includes('/foreign/')) {
-                const textLower = text.toLowerCase();
-                
-                // Check if it matches the season/episode pattern first (most important)
-                if (!searchPattern.test(text)) {
-                    return; // Skip if season/episode doesn't match
-                }
-                
-                // Check if title words match (flexible - at least 2 key words should match)
-                const matchingWords = titleWords.filter(word => textLower.includes(word));
-                
-                // If we have at least 2 matching words OR if title is short and at least 1 word matches
-                if (matchingWords.length >= Math.min(2, titleWords.length) || 
-                    (titleWords.length <= 2 && matchingWords.length >= 1)) {
-                    postUrl = href.startsWith('http') ? href : `https://scnlog.me${href}`;
-                    return false; // break
-                }
+            // Check if it matches the season/episode (or air date) first (most important)
+            const tag = episodeFormat.match(text);
+            if (!tag) {
+                addTraceCandidate(candidates, href, text, score, 'episode_mismatch');
+                return; // Skip if season/episode doesn't match
             }
-        });
+            
+            if (score >= minMatchScore) {
+                addTraceCandidate(candidates, href, text, score);
+                addPostCandidate(posts, href, text, score, tag);
+            } else {
+                addTraceCandidate(candidates, href, text, score, 'low_score');
+            }
+        }, () => hasConfidentMatch(posts), budget);
+        attempt.pages = pages;
+        attempt.error = pageError;
+        rankByScore(candidates);
+        
+        if (posts.length === 0) {
+            log.warn(`❌ No matching post found for ${searchQuery}`);
+            return { posts: [], error: pageError };
+        }
         
-        if (!postUrl) {
-            console.log(`❌ No matching post found for ${searchQuery}`);
-            return null;
+        rankByScore(posts);
+        log.info(`✅ Found ${posts.length} matching post(s): ${posts.map(post => `${post.url} (${post.score})`).join(', ')}`);
+        return { posts, error: null };
+    } catch (error) {
+        log.error('❌ Error searching scnlog.me:', error.message);
+        attempt.error = error.message;
+        return { posts: [], error: error.message };
+    }
+}
+
+// Search scnlog.me for a movie (Title.Year.FLEMISH releases without SxxExx), trying the search titles in turn
+// Returns { posts, error } (see searchWithFallback) with the matching posts best match first as [{ url, title, score }],
+// the considered releases go to record.search
+function searchScnlogMovie(searchTitles, year, budget, record = null) {
+    return searchWithFallback(searchTitles, record, searchTitle =>
+        searchScnlogMovieTitle(searchTitle, getMatchTitles(searchTitles), year, budget, record), budget);
+}
+
+// Search scnlog.me for a movie with one search title
+// Scored like searchScnlogTitle, the title part of a release ends at the release year
+async function searchScnlogMovieTitle(searchTitle, matchTitles, year, budget, record) {
+    const searchQuery = formatMovieTitleForSearch(searchTitle.title, year);
+    const attempt = recordSearchAttempt(record, searchTitle, searchQuery);
+    const { candidates } = attempt;
+    try {
+        log.info(`🔍 Searching scnlog.me for movie: ${searchQuery}`);
+        
+        const posts = [];
+        const { minMatchScore } = getConfig().scnlog;
+        
+        const { pages, error: pageError } = await visitScnlogSearchResults(searchQuery, (href, text) => {
+            const score = scoreRelease(matchTitles, text, year);
+            
+            // Skip series releases (SxxEyy or a season pack)
+            if (parseEpisodeTag(text)) {
+                addTraceCandidate(candidates, href, text, score, 'series_release');
+                return;
+            }
+            
+            // Release year must match when known (Title.2023.FLEMISH...)
+            if (year && !text.includes(year.toString())) {
+                addTraceCandidate(candidates, href, text, score, 'year_mismatch');
+                return;
+            }
+            
+            if (score >= minMatchScore) {
+                addTraceCandidate(candidates, href, text, score);
+                addPostCandidate(posts, href, text, score);
+            } else {
+                addTraceCandidate(candidates, href, text, score, 'low_score');
+            }
+        }, () => hasConfidentMatch(posts), budget);
+        attempt.pages = pages;
+        attempt.error = pageError;
+        rankByScore(candidates);
+        
+        if (posts.length === 0) {
+            log.warn(`❌ No matching movie post found for ${searchQuery}`);
+            return { posts: [], error: pageError };
         }
         
-        console.log(`✅ Found post: ${postUrl}`);
-        return postUrl;
+        rankByScore(posts);
+        log.info(`✅ Found ${posts.length} matching post(s): ${posts.map(post => `${post.url} (${post.score})`).join(', ')}`);
+        return { posts, error: null };
     } catch (error) {
-        console.error('❌ Error searching scnlog.me:', error.message);
-        return null;
+        log.error('❌ Error searching scnlog.me:', error.message);
+        attempt.error = error.message;
+        return { posts: [], error: error.message };
+    }
+}
+
+// Filename at the end of a MultiUp download URL (multiup.io/download/<id>/Show.S02E05.mkv), '' for other links
+function getMultiUpFilename(multiUpLink) {
+    const match = multiUpLink.match(/\/download\/[^/]+\/([^/?#]+)/);
+    if (!match) {
+        return '';
+    }
+    try {
+        return decodeURIComponent(match[1]);
+    } catch (error) {
+        return match[1];
     }
 }
 
 // Extract MultiUp link from scnlog page
-async function extractMultiUpLink(postUrl) {
+// For season packs with a link per episode, episode ({ season, episode }) picks the link of that episode
+async function extractMultiUpLink(postUrl, episode = null) {
     try {
-        console.log(`📄 Fetching page: ${postUrl}`);
+        log.debug(`📄 Fetching page: ${postUrl}`);
         const response = await axios.get(postUrl, {
             headers: {
                 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
@@ -831,14 +1394,28 @@ async function extractMultiUpLink(postUrl) {
         // Look for MultiUp links - prioritize download links
         let multiUpLink = null;
         
-        // First, try to find download links (preferred)
-        $('a[href*="multiup.io"], a[href*="multiup.org"]').each((i, elem) => {
-            const href = $(elem).attr('href');
-            if (href && href.includes('/download/')) {
-                multiUpLink = href;
-                return false; // break
-            }
-        });
+        // Season pack: the link named after the episode (MultiUp download URLs end with the filename)
+        if (episode) {
+            $('a[href*="multiup.io"], a[href*="multiup.org"]').each((i, elem) => {
+                const href = $(elem).attr('href');
+                const tag = href && (parseEpisodeTag(getMultiUpFilename(href)) || parseEpisodeTag($(elem).text()));
+                if (tag?.episodes && tagCoversEpisode(tag, episode.season, episode.episode)) {
+                    multiUpLink = href;
+                    return false; // break
+                }
+            });
+        }
+        
+        // Otherwise, try to find download links (preferred)
+        if (!multiUpLink) {
+            $('a[href*="multiup.io"], a[href*="multiup.org"]').each((i, elem) => {
+                const href = $(elem).attr('href');
+                if (href && href.includes('/download/')) {
+                    multiUpLink = href;
+                    return false; // break
+                }
+            });
+        }
         
         // If no download link, try mirror links
         if (!multiUpLink) {
@@ -861,14 +1438,14 @@ async function extractMultiUpLink(postUrl) {
         }
         
         if (!multiUpLink) {
-            console.log(`❌ No MultiUp link found on page`);
+            log.warn(`❌ No MultiUp link found on page`);
             return null;
         }
         
-        console.log(`✅ Found MultiUp link: ${multiUpLink}`);
+        log.info(`✅ Found MultiUp link: ${multiUpLink}`);
         return multiUpLink;
     } catch (error) {
-        console.error('❌ Error extracting MultiUp link:', error.message);
+        log.error('❌ Error extracting MultiUp link:', error.message);
         return null;
     }
 }
@@ -939,9 +1516,9 @@ function formatFileSize(size, unit) {
 }
 
 // Extract hoster links from MultiUp using Puppeteer (following MultiUp-Direct logic)
-async function extractHosterLinks(multiUpLink, postTitle = '') {
+async function extractHosterLinks(multiUpLink, postTitle = '', options = {}) {
     try {
-        console.log(`🔗 Extracting hoster links from: ${multiUpLink}`);
+        log.info(`🔗 Extracting hoster links from: ${multiUpLink}`);
         
         let extractUrl = multiUpLink;
         
@@ -951,10 +1528,10 @@ async function extractHosterLinks(multiUpLink, postTitle = '') {
             const match = multiUpLink.match(/\/download\/([a-f0-9]{32})/);
             if (match) {
                 extractUrl = `https://multiup.io/en/mirror/${match[1]}`;
-                console.log(`   Converted to mirror page: ${extractUrl}`);
+                log.debug(`   Converted to mirror page: ${extractUrl}`);
             } else {
-                console.log(`⚠️  Could not extract ID from download link`);
-                return [];
+                log.warn(`⚠️  Could not extract ID from download link`);
+                return { links: [], reason: 'invalid_multiup_link', metadata: { quality: null, scenegroup: null, size: null, sizeUnit: null } };
             }
         } else if (multiUpLink.includes('/mirror/')) {
             // Already a mirror link, ensure it has the /en/ prefix
@@ -967,8 +1544,8 @@ async function extractHosterLinks(multiUpLink, postTitle = '') {
         }
         
         // Fetch page using Puppeteer (handles Cloudflare automatically)
-        console.log(`📄 Fetching page: ${extractUrl}`);
-        const pageHtml = await fetchMultiUpPage(extractUrl);
+        log.debug(`📄 Fetching page: ${extractUrl}`);
+        const pageHtml = await fetchMultiUpPage(extractUrl, options);
         
         // Parse HTML with cheerio (like MultiUp-Direct uses scraper)
         const $ = cheerio.load(pageHtml);
@@ -978,7 +1555,7 @@ async function extractHosterLinks(multiUpLink, postTitle = '') {
         const h2Element = $(h2Selector).first();
         const h2Text = h2Element.text().trim();
         const { size, sizeUnit } = parseMultiUpHeading(h2Text);
-        console.log(`📊 File size: ${size} ${sizeUnit || 'unknown'}`);
+        log.debug(`📊 File size: ${size} ${sizeUnit || 'unknown'}`);
         
         // Extract links using EXACT selector as MultiUp-Direct: "button[type='submit'], a.host"
         // MultiUp-Direct code exactly:
@@ -992,21 +1569,21 @@ async function extractHosterLinks(multiUpLink, postTitle = '') {
         const buttons1 = $('button[type="submit"]');
         const buttons2 = $('a.host');
         const buttons3 = $('button[type="submit"], a.host');
-        console.log(`📊 Found ${buttons1.length} button[type="submit"] elements`);
-        console.log(`📊 Found ${buttons2.length} a.host elements`);
-        console.log(`📊 Found ${buttons3.length} combined button/a.host elements`);
+        log.debug(`📊 Found ${buttons1.length} button[type="submit"] elements`);
+        log.debug(`📊 Found ${buttons2.length} a.host elements`);
+        log.debug(`📊 Found ${buttons3.length} combined button/a.host elements`);
         
         // Log page structure for debugging
         const bodyHtml = $('body').html();
         if (bodyHtml) {
-            console.log(`   Body HTML length: ${bodyHtml.length}`);
-            console.log(`   Body HTML preview: ${bodyHtml.substring(0, 500)}`);
+            log.debug(`   Body HTML length: ${bodyHtml.length}`);
+            log.debug(`   Body HTML preview: ${bodyHtml.substring(0, 500)}`);
         }
         
         // Check for common MultiUp page elements
         const hasSection = $('section').length > 0;
         const hasHeader = $('header').length > 0;
-        console.log(`   Page structure: ${hasSection ? 'has section' : 'no section'}, ${hasHeader ? 'has header' : 'no header'}`);
+        log.debug(`   Page structure: ${hasSection ? 'has section' : 'no section'}, ${hasHeader ? 'has header' : 'no header'}`);
         
         const buttons = buttons3;
         
@@ -1044,13 +1621,13 @@ async function extractHosterLinks(multiUpLink, postTitle = '') {
             }
         });
         
-        console.log(`✅ Extracted ${hosterLinks.length} hoster links`);
+        log.info(`✅ Extracted ${hosterLinks.length} hoster links`);
         
         // Check for password protection (like MultiUp-Direct)
         const hasPassword = $('input[name="password"][type="password"]').length > 0;
         if (hasPassword) {
-            console.log(`⚠️  Page is password protected - skipping`);
-            return { links: [], metadata: { quality: null, scenegroup: null, size: null, sizeUnit: null } };
+            log.warn(`⚠️  Page is password protected - skipping`);
+            return { links: [], reason: 'password_protected', metadata: { quality: null, scenegroup: null, size: null, sizeUnit: null } };
         }
         
         // Check for error messages (like MultiUp-Direct)
@@ -1058,14 +1635,14 @@ async function extractHosterLinks(multiUpLink, postTitle = '') {
         if (errorElement.length > 0) {
             const errorText = errorElement.text().trim();
             if (errorText && errorText.includes('could not be found')) {
-                console.log(`❌ File not found: ${errorText}`);
-                return { links: [], metadata: { quality: null, scenegroup: null, size: null, sizeUnit: null } };
+                log.warn(`❌ File not found: ${errorText}`);
+                return { links: [], reason: 'file_not_found', metadata: { quality: null, scenegroup: null, size: null, sizeUnit: null } };
             }
         }
         
         if (hosterLinks.length === 0) {
-            console.log(`❌ No hoster links found`);
-            return { links: [], metadata: { quality: null, scenegroup: null, size: null, sizeUnit: null } };
+            log.warn(`❌ No hoster links found`);
+            return { links: [], reason: 'no_hoster_links', metadata: { quality: null, scenegroup: null, size: null, sizeUnit: null } };
         }
         
         // Filter to only valid links - skip invalid and unknown hosters
@@ -1073,12 +1650,14 @@ async function extractHosterLinks(multiUpLink, postTitle = '') {
         const validLinks = hosterLinks.filter(link => link.validity === 'valid');
         
         if (validLinks.length === 0) {
-            console.log(`⚠️  Found ${hosterLinks.length} hoster links, but none are valid (all marked as invalid/unknown)`);
-            console.log(`   Skipping Real-Debrid processing to avoid unnecessary API calls`);
+            log.warn(`⚠️  Found ${hosterLinks.length} hoster links, but none are valid (all marked as invalid/unknown)`);
+            log.debug(`   Skipping debrid processing to avoid unnecessary API calls`);
             // Extract metadata from post title for logging
             const { quality, scenegroup } = extractMetadataFromPostTitle(postTitle);
             return {
                 links: [],
+                hosters: hosterLinks,
+                reason: 'no_valid_hoster_links',
                 metadata: {
                     quality: quality || 'Unknown',
                     scenegroup: scenegroup || 'Unknown',
@@ -1091,9 +1670,10 @@ async function extractHosterLinks(multiUpLink, postTitle = '') {
         // Extract metadata from post title
         const { quality, scenegroup } = extractMetadataFromPostTitle(postTitle);
         
-        console.log(`✅ Found ${validLinks.length} valid hoster links (skipped ${hosterLinks.length - validLinks.length} invalid/unknown)`);
+        log.info(`✅ Found ${validLinks.length} valid hoster links (skipped ${hosterLinks.length - validLinks.length} invalid/unknown)`);
         return {
             links: validLinks,
+            hosters: hosterLinks,
             metadata: {
                 quality: quality || 'Unknown',
                 scenegroup: scenegroup || 'Unknown',
@@ -1103,75 +1683,121 @@ async function extractHosterLinks(multiUpLink, postTitle = '') {
         };
     } catch (error) {
         // Don't close browser on error - keep it alive for next request
-        console.error('❌ Error extracting hoster links:', error.message);
-        console.error('Stack:', error.stack);
-        return { links: [], metadata: { quality: null, scenegroup: null, size: null, sizeUnit: null } };
+        log.error('❌ Error extracting hoster links:', error.message);
+        log.error('Stack:', error.stack);
+        return { links: [], reason: 'extraction_error', metadata: { quality: null, scenegroup: null, size: null, sizeUnit: null } };
     }
 }
 
 
-// Add link to Real-Debrid and get streaming URL
-async function getRealDebridStream(link, apiKey) {
-    try {
-        console.log(`🔓 Adding to Real-Debrid: ${link}`);
-        
-        // Use Real-Debrid unrestrict API
-        const response = await axios.post(
-            `${REALDEBRID_API_URL}/unrestrict/link`,
-            `link=${encodeURIComponent(link)}`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${apiKey}`,
-                    'Content-Type': 'application/x-www-form-urlencoded'
-                },
-                timeout: 30000
-            }
-        );
-        
-        const data = response.data;
-        
-        if (data.download) {
-            console.log(`✅ Real-Debrid stream ready: ${data.download}`);
-            return {
-                url: data.download,
-                filename: data.filename || null,
-                size: data.filesize || null
-            };
-        }
-        
+// Archives (debrid providers can't stream from them) and other files that are never an episode itself
+const ARCHIVE_FILE_PATTERN = /\.(?:rar|r\d{2}|zip|7z)$/i;
+const NON_VIDEO_FILE_PATTERN = /\.(?:nfo|sfv|srt|sub|idx|txt|jpe?g|png)$/i;
+
+// Episodes a file of a season pack holds: the SxxEyy episodes in its name of the requested season,
+// none for archives, subtitles and info files
+function getPackFileEpisodes(filename, season) {
+    const tag = parseEpisodeTag(filename || '');
+    if (!tag?.episodes || tag.season !== season || ARCHIVE_FILE_PATTERN.test(filename) || NON_VIDEO_FILE_PATTERN.test(filename)) {
+        return [];
+    }
+    return tag.episodes;
+}
+
+// File selector for the season pack entry of an episode (see the debrid provider interface):
+// the first video file named after the episode
+function createEpisodeFileSelector({ season, episode }) {
+    return filenames => filenames.findIndex(filename => getPackFileEpisodes(filename, season).includes(episode));
+}
+
+// Resolve a /resolve token into a fresh download URL through the debrid provider
+// The hoster link behind the token (the one in the stream title) is unrestricted alone first. Only when it fails
+// or misses its deadline are the other hosters of the same release raced (bounded parallelism), the first success wins
+// options.attempts collects every unrestrict attempt (debug trace) and skips the recently resolved URLs
+// Tokens of a season pack episode (entry.episode) pick that episode's file from the unrestricted pack
+async function resolvePlaybackUrl(token, config, options = {}) {
+    // Unrestricted URLs are tied to the debrid account that created them
+    const recentKey = config.user ? `${token}@${config.user.pathPrefix}` : token;
+    const recent = resolvedUrls.get(recentKey);
+    if (recent && recent.expiresAt > Date.now() && !options.attempts) {
+        log.info(`⚡ Reusing unrestricted URL for ${token}`);
+        return recent.url;
+    }
+    resolvedUrls.delete(recentKey);
+    
+    const entry = getResolveEntry(token);
+    if (!entry) {
+        log.warn(`❌ Unknown resolve token: ${token}`);
         return null;
-    } catch (error) {
-        // Parse Real-Debrid error response
-        const errorData = error.response?.data || {};
-        const errorCode = errorData.error_code;
-        const errorMsg = errorData.error || error.message;
-        
-        // Extract hoster name from link for better error messages
-        let hosterName = 'unknown';
-        try {
-            const urlObj = new URL(link);
-            hosterName = urlObj.hostname.replace('www.', '').split('.')[0];
-        } catch (e) {
-            // If URL parsing fails, try to extract from link string
-            const hosterMatch = link.match(/https?:\/\/(?:www\.)?([^\/]+)/);
-            if (hosterMatch) {
-                hosterName = hosterMatch[1].split('.')[0];
-            }
+    }
+    
+    const { concurrency, hosterTimeoutMs } = config.debrid;
+    const provider = getDebridProvider(config);
+    const unrestrictOptions = {
+        concurrency,
+        timeoutMs: hosterTimeoutMs,
+        wanted: 1,
+        selectFile: entry.episode ? createEpisodeFileSelector(entry.episode) : null,
+        onResult: outcome => {
+            recordUnrestrictAttempt(provider.id, outcome);
+            options.attempts?.push({
+                host: outcome.host,
+                success: outcome.success,
+                latencyMs: outcome.latencyMs,
+                timedOut: outcome.timedOut,
+                errorKind: outcome.error?.kind || null,
+                errorCode: outcome.error?.code ?? null,
+                errorMessage: outcome.error?.message || null
+            });
         }
-        
-        // Log specific error types with clear messages
-        if (errorCode === 16 || errorMsg === 'hoster_unsupported' || errorMsg?.includes('unsupported')) {
-            console.log(`🚫 Hoster not supported by Real-Debrid: ${hosterName} (error_code: ${errorCode || 'N/A'})`);
-            console.log(`   💡 Real-Debrid does not support this hoster. Trying next hoster...`);
-        } else if (errorCode === 24 || errorMsg === 'unavailable_file' || errorMsg?.includes('unavailable')) {
-            console.log(`⚠️  File unavailable on Real-Debrid: ${hosterName} (error_code: ${errorCode || 'N/A'})`);
-            console.log(`   💡 The file may have been deleted or is no longer accessible. Trying next hoster...`);
-        } else {
-            console.log(`❌ Real-Debrid error for ${hosterName}: ${errorMsg || 'Unknown error'} (error_code: ${errorCode || 'N/A'})`);
+    };
+    
+    // The chosen hoster on its own, then the fallbacks re-ranked with the latest hoster statistics
+    let [success] = await unrestrictFirst(provider, [{ link: entry.link, host: entry.host }], unrestrictOptions);
+    const fallbacks = rankHosterLinks(entry.fallbacks || [], config.hosters);
+    if (!success && fallbacks.length > 0) {
+        log.info(`🔁 Hoster ${entry.host} failed for ${token}, trying ${fallbacks.length} other hoster(s)`);
+        [success] = await unrestrictFirst(provider, fallbacks, unrestrictOptions);
+    }
+    if (success) {
+        if (success.candidate.link !== entry.link) {
+            log.info(`🔁 Resolved ${token} via hoster ${success.candidate.host} instead of ${entry.host}`);
         }
-        
-        return null;
+        resolvedUrls.set(recentKey, { url: success.stream.url, expiresAt: Date.now() + RESOLVED_URL_TTL });
+        probeStreamStart(success.candidate.host, success.stream.url);
+        return success.stream.url;
     }
+    
+    log.warn(`⚠️  No hoster could be unrestricted for ${token} (${entry.release || 'unknown release'})`);
+    return null;
+}
+
+// Check in the background that an unrestricted download URL actually serves data
+// (first byte range request) and record it as stream start success for the hoster
+function probeStreamStart(host, url) {
+    axios.get(url, {
+        headers: { 'Range': 'bytes=0-0' },
+        responseType: 'stream',
+        timeout: 10000,
+        validateStatus: () => true
+    }).then(response => {
+        response.data.destroy();
+        recordStreamStart(host, response.status === 200 || response.status === 206);
+    }).catch(() => {
+        recordStreamStart(host, false);
+    });
+}
+
+// Make relative /resolve URLs absolute using the public base URL
+// Cached streams are stored with relative URLs so they survive base URL changes (tunnel vs localhost)
+// and can be shared between users (pathPrefix routes playback through the user's own debrid config)
+function withPublicStreamUrls(streams, pathPrefix = '') {
+    const baseUrl = `${getPublicBaseUrl()}${pathPrefix}`;
+    return streams.map(stream => (
+        stream.url && stream.url.startsWith('/')
+            ? { ...stream, url: `${baseUrl}${stream.url}` }
+            : stream
+    ));
 }
 
 // Helper function to create an error stream when no streams are found
@@ -1212,47 +1838,693 @@ function withTimeout(promise, timeoutMs, operationName) {
     ]);
 }
 
-// Stream Handler
-builder.defineStreamHandler(async ({ type, id }) => {
-    const requestStartTime = Date.now();
-    console.log(`\n📺 Stream request received: type=${type}, id=${id}`);
-    
-    // Check if we're shutting down
-    if (isShuttingDown) {
-        console.log('⚠️  Server is shutting down, rejecting request');
-        return { streams: [] };
+// Start the dashboard record of a stream request (kept in recentRequests)
+function startRequestRecord(type, id, background) {
+    const record = {
+        requestId: getRequestId(),  // Matches the [id] on this request's log lines
+        type,
+        id,
+        title: null,
+        background,
+        startedAt: new Date().toISOString(),
+        durationMs: null,
+        outcome: 'running',
+        fromCache: false,
+        streams: 0,
+        failure: null,
+        stages: {},    // Stage name -> duration in ms (cache, metadata, search, resolve)
+        search: null,  // { strategy, naming, attempts } - see recordSearchAttempt
+        posts: []      // Per scnlog post: { url, title, stages: { multiup, hosters }, multiUpLink, hosters, streams, failure }
+    };
+    recentRequests.unshift(record);
+    recentRequests.length = Math.min(recentRequests.length, MAX_RECENT_REQUESTS);
+    return record;
+}
+
+// Store a stage duration on a request or post record (no-op without record)
+function recordStage(record, stage, durationMs) {
+    if (record) {
+        record.stages[stage] = durationMs;
     }
-    
-    const config = getConfig();
-    
-    if (!config.realdebrid.apiKey || !config.realdebrid.enabled) {
-        console.log('⚠️  Real-Debrid not configured');
-        return { streams: [] };
+}
+
+// Complete a request record with the pipeline result
+function finishRequestRecord(record, startTime, result, error) {
+    record.durationMs = Date.now() - startTime;
+    if (error) {
+        record.outcome = 'error';
+        record.failure = record.failure || error.message;
+        return;
+    }
+    // Error streams don't count (real streams still have their relative /resolve URL here)
+    record.streams = result.streams.filter(stream => stream.url && stream.url.startsWith('/resolve/')).length;
+    record.outcome = record.streams > 0 ? 'ok' : (record.failure ? 'failed' : 'empty');
+    recordRequestMetrics(record);
+}
+
+// Update request, stage and cache metrics from a finished request record
+function recordRequestMetrics(record) {
+    incCounter('streamzio_stream_requests_total', { type: record.type, outcome: record.outcome });
+    for (const [stage, durationMs] of Object.entries(record.stages)) {
+        observeHistogram('streamzio_stage_duration_seconds', { stage }, durationMs / 1000);
+    }
+    for (const post of record.posts) {
+        for (const [stage, durationMs] of Object.entries(post.stages)) {
+            observeHistogram('streamzio_stage_duration_seconds', { stage }, durationMs / 1000);
+        }
     }
     
-    // Wrap entire handler in timeout (120 seconds total)
-    try {
-        return await withTimeout(
-            handleStreamRequest(type, id, requestStartTime, config),
-            120000,
-            'Stream request'
-        );
+    // Only requests that got past the cache lookup count (errors before it don't)
+    if (record.fromCache || record.stages.cache !== undefined) {
+        cacheLookups[record.fromCache ? 'hit' : 'miss']++;
+        incCounter('streamzio_cache_lookups_total', { result: record.fromCache ? 'hit' : 'miss' });
+        setGauge('streamzio_cache_hit_ratio', {}, cacheLookups.hit / (cacheLookups.hit + cacheLookups.miss));
+    }
+}
+
+// Record a debrid unrestrict attempt: hoster statistics and metrics
+function recordUnrestrictAttempt(providerId, outcome) {
+    recordUnrestrictOutcome(outcome);
+    const host = outcome.host || 'unknown';
+    const result = outcome.success ? 'success' : (outcome.timedOut ? 'timeout' : 'error');
+    incCounter('streamzio_unrestrict_total', { provider: providerId, host, result });
+    observeHistogram('streamzio_stage_duration_seconds', { stage: 'unrestrict' }, outcome.latencyMs / 1000);
+    if (!outcome.success) {
+        const code = outcome.timedOut ? 'timeout' : (outcome.error?.code || outcome.error?.kind || 'unknown');
+        incCounter('streamzio_unrestrict_errors_total', { provider: providerId, host, code });
+    }
+}
+
+// Run the stream pipeline wrapped in a timeout (STREAM_REQUEST_TIMEOUT_MS from the start of the pipeline)
+// Concurrent identical requests (player, details page, other devices) share one pipeline run and its timeout,
+// so a caller that joins late never waits longer than the pipeline's own limit
+// The run stays in inFlightRequests until the pipeline itself settles, so a timed out run
+// isn't started a second time by the next request
+function runStreamRequest(type, id, requestStartTime, config, options = {}) {
+    const requestKey = config.user ? `${type}:${id}@${config.user.variant}` : `${type}:${id}`;
+    let inFlight = inFlightRequests.get(requestKey);
+    if (inFlight) {
+        log.info(`🔗 Joining in-flight request ${inFlight.requestId} for ${requestKey} (${inFlight.waiters + 1} waiting)`);
+        inFlight.waiters++;
+        return inFlight.promise;
+    }
+    
+    const record = startRequestRecord(type, id, !!options.background);
+    const pipeline = handleStreamRequest(type, id, requestStartTime, config, { ...options, record }).then(result => {
+        finishRequestRecord(record, requestStartTime, result);
+        return result;
+    }, error => {
+        finishRequestRecord(record, requestStartTime, null, error);
+        throw error;
+    });
+    inFlight = {
+        requestId: getRequestId(),
+        waiters: 1,
+        startedAt: requestStartTime,
+        background: !!options.background,
+        promise: withTimeout(pipeline, STREAM_REQUEST_TIMEOUT_MS, 'Stream request')
+    };
+    inFlightRequests.set(requestKey, inFlight);
+    // Errors reach the callers through inFlight.promise, this chain only cleans up
+    pipeline.finally(() => {
+        inFlightRequests.delete(requestKey);
+    }).catch(() => {});
+    return inFlight.promise;
+}
+
+// Run the stream pipeline for the debug endpoint and return the request trace
+// Ignores the cache and in-flight requests, and unrestricts the first stream right away
+// (unless options.unrestrict is false) so the trace also shows every debrid attempt
+async function traceStreamRequest(type, id, config, options = {}) {
+    log.info(`🐞 Tracing stream request for ${type} ${id} (admin request)`);
+    const startTime = Date.now();
+    const record = startRequestRecord(type, id, false);
+    let result;
+    try {
+        result = await withTimeout(handleStreamRequest(type, id, startTime, config, { record, fresh: true }), STREAM_REQUEST_TIMEOUT_MS, 'Stream request');
+        finishRequestRecord(record, startTime, result);
+    } catch (error) {
+        finishRequestRecord(record, startTime, null, error);
+        throw error;
+    }
+    
+    let unrestrict = null;
+    const firstStream = result.streams.find(stream => stream.url && stream.url.startsWith('/resolve/'));
+    if (firstStream && options.unrestrict !== false) {
+        const token = firstStream.url.substring('/resolve/'.length);
+        const entry = getResolveEntry(token);
+        const attempts = [];
+        const unrestrictStartTime = Date.now();
+        const url = await resolvePlaybackUrl(token, config, { attempts });
+        unrestrict = {
+            token,
+            host: entry?.host || null,
+            release: entry?.release || null,
+            success: !!url,
+            durationMs: Date.now() - unrestrictStartTime,
+            attempts
+        };
+    }
+    return { ...record, unrestrict };
+}
+
+// Find the episode after SxxEyy using Cinemeta's videos list (handles season rollover)
+// Returns null when there is no next episode or it hasn't aired yet
+function findNextEpisode(meta, season, episode) {
+    const videos = (meta.videos || [])
+        .filter(video => video.season > 0 && video.episode > 0)  // Skip specials (season 0)
+        .sort((a, b) => a.season - b.season || a.episode - b.episode);
+    
+    if (videos.length === 0) {
+        return { season, episode: episode + 1 };
+    }
+    
+    const next = videos.find(video => video.season > season || (video.season === season && video.episode > episode));
+    if (!next) {
+        return null;
+    }
+    if (next.released && new Date(next.released).getTime() > Date.now()) {
+        return null;
+    }
+    return { season: next.season, episode: next.episode };
+}
+
+// Queue a low-priority background resolve of the episode after SxxEyy
+// config is the request config, so the prefetch uses the same debrid provider and hoster preferences
+function schedulePrefetch(imdbId, season, episode, config) {
+    if (isShuttingDown || !config.prefetch.enabled) {
+        return;
+    }
+    
+    const key = getCacheKey(imdbId, season, episode, config.user?.variant);
+    if (prefetchQueued.has(key)) {
+        return;
+    }
+    prefetchQueued.add(key);
+    prefetchQueue.push({ imdbId, season, episode, key, config });
+    
+    processPrefetchQueue().catch(error => {
+        log.warn(`⚠️  Prefetch queue error: ${error.message}`);
+    });
+}
+
+// Process queued prefetches one at a time
+async function processPrefetchQueue() {
+    if (prefetchRunning) {
+        return;
+    }
+    prefetchRunning = true;
+    
+    try {
+        while (prefetchQueue.length > 0 && !isShuttingDown) {
+            const job = prefetchQueue.shift();
+            try {
+                // Own request ID: the prefetch is not part of the request that queued it
+                await runWithLogContext({ requestId: createRequestId() }, () =>
+                    prefetchNextEpisode(job.imdbId, job.season, job.episode, job.config));
+            } catch (error) {
+                log.warn(`⚠️  Prefetch failed after ${job.key}: ${error.message}`);
+            } finally {
+                prefetchQueued.delete(job.key);
+            }
+        }
+    } finally {
+        prefetchRunning = false;
+    }
+}
+
+// Resolve the next episode in the background so it is an instant cache hit when autoplay kicks in
+async function prefetchNextEpisode(imdbId, season, episode, config) {
+    if (!isDebridConfigured(config)) {
+        return;
+    }
+    
+    const meta = await getMetaFromImdbId(imdbId, 'series');
+    if (!meta) {
+        return;
+    }
+    
+    const next = findNextEpisode(meta, season, episode);
+    if (!next) {
+        log.info(`🔮 No next episode to prefetch after ${imdbId} S${season}E${episode}`);
+        return;
+    }
+    
+    const variant = config.user?.variant;
+    const nextKey = getCacheKey(imdbId, next.season, next.episode, variant);
+    if (getCachedFailure(nextKey) || await getCachedStreams(imdbId, next.season, next.episode, variant, getDebridProvider(config))) {
+        return;
+    }
+    
+    const nextId = getCacheKey(imdbId, next.season, next.episode);
+    log.info(`🔮 Prefetching next episode: ${meta.name} S${next.season}E${next.episode}`);
+    const result = await runStreamRequest('series', nextId, Date.now(), config, { background: true });
+    log.info(`🔮 Prefetch done for ${nextKey} (${result.streams.length} stream(s))`);
+}
+
+// Handle a stream request from Stremio
+async function serveStreamRequest({ type, id, config: rawUserConfig }) {
+    const requestStartTime = Date.now();
+    log.info(`📺 Stream request received: type=${type}, id=${id}`);
+    
+    // Check if we're shutting down
+    if (isShuttingDown) {
+        log.warn('⚠️  Server is shutting down, rejecting request');
+        return { streams: [] };
+    }
+    
+    // Installed through /configure: use the debrid key and preferences from the install URL
+    // instead of config.json (the router passes {} without config and false for unparsable JSON)
+    const hasUserConfig = rawUserConfig === false || (rawUserConfig && Object.keys(rawUserConfig).length > 0);
+    const userConfig = hasUserConfig ? parseUserConfig(rawUserConfig) : null;
+    if (hasUserConfig && !userConfig) {
+        log.warn('⚠️  Invalid user configuration in install URL');
+        return { streams: [createErrorStream('Invalid addon configuration, please reinstall through /configure')] };
+    }
+    const config = getRequestConfig(userConfig);
+    
+    if (!isDebridConfigured(config)) {
+        log.warn('⚠️  Debrid provider not configured');
+        return { streams: [] };
+    }
+    
+    try {
+        const result = await runStreamRequest(type, id, requestStartTime, config);
+        // Playback links need the same access token and user config prefix as this request
+        const accessPrefix = requestContext.getStore()?.accessPrefix || '';
+        return { ...result, streams: withPublicStreamUrls(result.streams, `${accessPrefix}${config.user?.pathPrefix || ''}`) };
     } catch (error) {
         if (error.message.includes('timed out')) {
-            console.error(`❌ Request timed out: ${error.message}`);
+            log.error(`❌ Request timed out: ${error.message}`);
         } else {
-            console.error(`❌ Error in stream handler: ${error.message}`);
-            console.error('Stack:', error.stack);
+            log.error(`❌ Error in stream handler: ${error.message}`);
+            log.error('Stack:', error.stack);
         }
         return { streams: [] };
     }
-});
+}
+
+// Stream Handler (every request gets its own ID, carried by all of its log lines)
+builder.defineStreamHandler(args => runWithLogContext({ requestId: createRequestId() }, () => serveStreamRequest(args)));
+
+// Quality ranking used to sort streams (best first)
+function getQualityRank(quality) {
+    if (quality === '4K') return 4;
+    if (quality === '1080p') return 3;
+    if (quality === '720p') return 2;
+    if (quality && quality.match(/\d+p/i)) return 1;
+    return 0;
+}
+
+// Stream label of an episode ("Show S02E05")
+function getEpisodeLabel(title, season, episode, providerName) {
+    return {
+        displayTitle: `${title} S${season.toString().padStart(2, '0')}E${episode.toString().padStart(2, '0')}`,
+        bingeGroup: `${title}-S${season}E${episode}`,
+        providerName
+    };
+}
+
+// Build a stable resolve token for a hoster link (same link -> same token across requests)
+function getResolveToken(link) {
+    return crypto.createHash('sha1').update(link).digest('hex').substring(0, 20);
+}
+
+// Build the Stremio stream entry for a hoster link
+// The URL points to the local /resolve endpoint, the debrid provider is only called when playback starts
+function buildStreamEntry(label, metadata, hosterLink, token) {
+    // Format stream title and subtitle (swapped)
+    // Quality should be lowercase 'p' (1080p, 720p, 4K)
+    let qualityDisplay = metadata.quality || 'Unknown';
+    // Ensure quality ends with lowercase 'p' if it's a resolution (not 4K)
+    if (qualityDisplay !== '4K' && qualityDisplay.match(/\d+p/i)) {
+        qualityDisplay = qualityDisplay.toLowerCase();
+    }
+    
+    const sizeDisplay = formatFileSize(metadata.size, metadata.sizeUnit);
+    const scenegroupDisplay = metadata.scenegroup || 'Unknown';
+    
+    // Title: "📁 'Movie/series Title' SxxExx\n💾 x GB   🏷️ 'Scenegroup name'\n🔎 'hoster'"
+    const titleLine1 = `📁  ${label.displayTitle}`;
+    const titleLine2Parts = [];
+    
+    if (sizeDisplay) {
+        titleLine2Parts.push(`💾  ${sizeDisplay}`);
+    }
+    
+    titleLine2Parts.push(`🏷️  ${scenegroupDisplay}`);
+    
+    const titleLine2 = titleLine2Parts.join('   '); // 3 spaces between GB and 🏷️
+    const titleLine3 = label.providerName
+        ? `🔎  ${hosterLink.host}   🔓  ${label.providerName}`
+        : `🔎  ${hosterLink.host}`;
+    const streamTitle = `${titleLine1}\n${titleLine2}\n${titleLine3}`;
+    
+    // Subtitle: "Streamzio 1080p" (lowercase p)
+    const streamSubtitle = `Streamzio ${qualityDisplay}`;
+    
+    const behaviorHints = {
+        notWebReady: false
+    };
+    if (label.bingeGroup) {
+        behaviorHints.bingeGroup = label.bingeGroup;
+    }
+    
+    return {
+        title: streamTitle,
+        name: streamSubtitle,  // Use 'name' for subtitle in Stremio
+        url: `/resolve/${token}`,  // Made absolute with the public base URL when returned
+        behaviorHints
+    };
+}
+
+// Human readable messages for failure reason codes (shown in the error stream)
+const FAILURE_MESSAGES = {
+    no_post: 'No scnlog post found',
+    search_error: 'scnlog.me search failed, try again later',
+    no_multiup_link: 'No MultiUp link found',
+    invalid_multiup_link: 'Invalid MultiUp link',
+    password_protected: 'MultiUp page is password protected',
+    file_not_found: 'File not found on MultiUp',
+    no_hoster_links: 'No hoster links found',
+    no_valid_hoster_links: 'No valid hoster links found',
+    no_supported_hosters: 'No hoster supported by the debrid provider',
+    all_hosters_blocked: 'All hosters are blocked in config',
+    extraction_error: 'Error extracting hoster links',
+    episode_not_in_pack: 'Episode not found in season pack',
+    pack_archive: 'Season pack is an archive',
+    pack_not_verified: 'Season pack contents could not be listed',
+    resolve_error: 'Error resolving scnlog post'
+};
+
+// Create a failure description ({ stage, reason, message }) for error streams and negative caching
+function createFailure(stage, reason) {
+    return { stage, reason, message: FAILURE_MESSAGES[reason] || reason };
+}
+
+// Pick the failure to report when several posts failed
+// Transient failures (not cacheable) win, otherwise the one that expires first from the negative cache
+function pickFailure(failures) {
+    let picked = null;
+    for (const failure of failures) {
+        if (!picked || getFailureTtl(failure.reason) < getFailureTtl(picked.reason)) {
+            picked = failure;
+        }
+    }
+    return picked || createFailure('hosters', 'no_valid_hoster_links');
+}
+
+// Record the hoster links of a post in the request trace with what happened to them:
+// invalid (dead on MultiUp), unsupported (by the debrid provider, or down), blocked (config) or used
+// Called again after every filter step, links that were not filtered yet count as used
+function recordPostHosters(postRecord, hosters, supportedLinks = null, usedLinks = null) {
+    if (!postRecord) {
+        return;
+    }
+    const contains = (links, hoster) => !links || links.some(link => link.url === hoster.url);
+    postRecord.hosters = hosters.map(hoster => {
+        let status = 'used';
+        if (hoster.validity !== 'valid') {
+            status = 'invalid';
+        } else if (!contains(supportedLinks, hoster)) {
+            status = 'unsupported';
+        } else if (!contains(usedLinks, hoster)) {
+            status = 'blocked';
+        }
+        return { host: hoster.host, validity: hoster.validity, status };
+    });
+}
+
+// Episodes held by the MultiUp upload of an episode post as { episodes, selectFile }
+// episode: { season, episode } of the request
+// A single or multi-episode file holds the episodes in its name. For a season uploaded as a whole (folder or
+// multi-file link) episodes is null until listPackEpisodes has checked its files, the file is picked at playback (selectFile)
+// Returns null when the upload is another episode of a season pack
+function getUploadCoverage(postTag, multiUpLink, episode) {
+    const uploadTag = parseEpisodeTag(getMultiUpFilename(multiUpLink));
+    if (uploadTag?.episodes) {
+        return tagCoversEpisode(uploadTag, episode.season, episode.episode)
+            ? { episodes: uploadTag.episodes, selectFile: false }
+            : null;
+    }
+    if (!postTag || postTag.episodes) {
+        return { episodes: postTag?.episodes || [episode.episode], selectFile: false };
+    }
+    return { episodes: null, selectFile: true };
+}
+
+// Episodes of a season uploaded as a whole, from the debrid provider's listing of its files
+// (Real-Debrid folder, Premiumize file list). The hosters hold the same upload, the first listing counts
+// Returns null when the provider can't list any of them - the episodes can't be verified then
+async function listPackEpisodes(provider, hosterLinks, season, timeoutMs) {
+    if (!provider.listFiles) {
+        return null;
+    }
+    for (const hosterLink of hosterLinks.slice(0, MAX_PACK_LISTINGS)) {
+        const filenames = await provider.listFiles(hosterLink.url, { signal: AbortSignal.timeout(timeoutMs) });
+        if (filenames) {
+            const episodes = [...new Set(filenames.flatMap(filename => getPackFileEpisodes(filename, season)))];
+            log.info(`📂 ${provider.name} lists ${filenames.length} file(s) with ${episodes.length} episode(s) for ${hosterLink.host}`);
+            return episodes.sort((a, b) => a - b);
+        }
+    }
+    return null;
+}
+
+// Resolve a scnlog post into lazy streams (MultiUp -> hosters -> /resolve tokens)
+// Returns { streams } with one stream per valid hoster, or { streams: [], failure } with the reason
+// For series, options.episode ({ title, season, episode }) is the requested episode:
+// season packs and multi-episode releases also return packStreams, a Map of the other episodes they cover to their streams
+async function resolveStreamsFromPost(post, label, config, options = {}) {
+    const postUrl = post.url;
+    const { episode } = options;
+    
+    // Extract MultiUp link (the episode's own link when a season pack has one per episode)
+    const extractStartTime = Date.now();
+    const multiUpLink = await extractMultiUpLink(postUrl, episode && post.tag?.episodes === null ? episode : null);
+    const extractTime = Date.now() - extractStartTime;
+    log.info(`⏱️  MultiUp extraction took ${extractTime}ms (${postUrl})`);
+    recordStage(options.postRecord, 'multiup', extractTime);
+    if (options.postRecord) {
+        options.postRecord.multiUpLink = multiUpLink;
+    }
+    if (!multiUpLink) {
+        log.warn(`⚠️  No MultiUp link found for ${postUrl}`);
+        return { streams: [], failure: createFailure('multiup', 'no_multiup_link') };
+    }
+    
+    // Episodes in the upload (movies: none, one stream per hoster)
+    const coverage = episode ? getUploadCoverage(post.tag, multiUpLink, episode) : null;
+    if (episode && !coverage) {
+        log.warn(`⚠️  No upload of S${episode.season}E${episode.episode} in season pack ${postUrl}`);
+        return { streams: [], failure: createFailure('multiup', 'episode_not_in_pack') };
+    }
+    // Debrid providers can't stream from inside archives (the usual scene season pack)
+    if (coverage?.selectFile && ARCHIVE_FILE_PATTERN.test(getMultiUpFilename(multiUpLink))) {
+        log.warn(`⚠️  Season pack ${postUrl} is an archive - skipping`);
+        return { streams: [], failure: createFailure('multiup', 'pack_archive') };
+    }
+    
+    // Get post title for metadata extraction (from the actual post heading, not page title)
+    const postTitleResponse = await axios.get(postUrl, { timeout: 15000 }).catch(() => null);
+    let postTitle = '';
+    if (postTitleResponse) {
+        const $post = cheerio.load(postTitleResponse.data);
+        // Try to get the post title from common scnlog.me selectors
+        postTitle = $post('h1.post-title, h1.entry-title, .post-title, .entry-title').first().text().trim() ||
+                   $post('h1').first().text().trim() ||
+                   $post('title').text();
+    }
+    // Fall back to the search result text (release name)
+    if (!postTitle) {
+        postTitle = post.title || '';
+    }
+    
+    // Extract hoster links with metadata
+    const hosterStartTime = Date.now();
+    const { links: validLinks, hosters = [], reason, metadata } = await extractHosterLinks(multiUpLink, postTitle, options);
+    const hosterTime = Date.now() - hosterStartTime;
+    log.info(`⏱️  Hoster extraction took ${hosterTime}ms (${postUrl})`);
+    recordStage(options.postRecord, 'hosters', hosterTime);
+    recordPostHosters(options.postRecord, hosters);
+    if (validLinks.length === 0) {
+        log.warn(`⚠️  No valid hoster links found for ${postUrl} (${reason})`);
+        return { streams: [], failure: createFailure('hosters', reason || 'no_valid_hoster_links') };
+    }
+    
+    // Drop hosters the debrid provider can't serve or that are currently down, working ones first
+    const supportedLinks = await filterSupportedHosterLinks(validLinks, getDebridProvider(config));
+    recordPostHosters(options.postRecord, hosters, supportedLinks);
+    if (supportedLinks.length === 0) {
+        log.warn(`⚠️  None of the ${validLinks.length} hosters are supported by the debrid provider (${postUrl})`);
+        return { streams: [], failure: createFailure('hosters', 'no_supported_hosters') };
+    }
+    
+    // Preferred hosters first, then by learned reliability (blocked hosters are removed)
+    const hosterLinks = rankHosterLinks(supportedLinks, config.hosters);
+    recordPostHosters(options.postRecord, hosters, supportedLinks, hosterLinks);
+    if (hosterLinks.length === 0) {
+        log.warn(`⚠️  All ${supportedLinks.length} supported hosters are blocked in config (${postUrl})`);
+        return { streams: [], failure: createFailure('hosters', 'all_hosters_blocked') };
+    }
+    
+    // A season uploaded as a whole only counts for the episodes its files are named after
+    if (coverage?.selectFile) {
+        coverage.episodes = await listPackEpisodes(getDebridProvider(config), hosterLinks, episode.season, config.debrid.hosterTimeoutMs);
+        if (!coverage.episodes) {
+            log.warn(`⚠️  Could not list the files of season pack ${postUrl}`);
+            return { streams: [], failure: createFailure('hosters', 'pack_not_verified') };
+        }
+        if (!coverage.episodes.includes(episode.episode)) {
+            log.warn(`⚠️  Season pack ${postUrl} has no file of S${episode.season}E${episode.episode}`);
+            return { streams: [], failure: createFailure('hosters', 'episode_not_in_pack') };
+        }
+    }
+    if (options.postRecord && coverage && (coverage.selectFile || coverage.episodes.length > 1)) {
+        options.postRecord.pack = coverage;
+    }
+    
+    // Create a resolve token per hoster link (and per covered episode) - the other hosters of the same release
+    // are stored as fallbacks in case the chosen one fails at playback time
+    // Episodes of a season uploaded as a whole get their own tokens, the entry says which file to pick
+    const streams = [];
+    const packStreams = new Map();
+    const resolveEntries = {};
+    for (const hosterLink of hosterLinks) {
+        const fallbacks = hosterLinks
+            .filter(other => other.url !== hosterLink.url)
+            .map(other => ({ link: other.url, host: other.host }));
+        
+        for (const coveredEpisode of coverage ? coverage.episodes : [null]) {
+            const isRequested = coveredEpisode === null || coveredEpisode === episode.episode;
+            const fileEpisode = coverage?.selectFile ? { season: episode.season, episode: coveredEpisode } : null;
+            const token = getResolveToken(fileEpisode ? `${hosterLink.url}#S${fileEpisode.season}E${fileEpisode.episode}` : hosterLink.url);
+            resolveEntries[token] = {
+                link: hosterLink.url,
+                host: hosterLink.host,
+                release: postTitle,
+                ...(fileEpisode && { episode: fileEpisode }),
+                fallbacks
+            };
+            
+            const entryLabel = isRequested ? label : getEpisodeLabel(episode.title, episode.season, coveredEpisode, label.providerName);
+            const entry = buildStreamEntry(entryLabel, metadata, hosterLink, token);
+            entry.qualityRank = getQualityRank(metadata.quality);
+            entry.release = postTitle;
+            entry.host = hosterLink.host;
+            if (isRequested) {
+                streams.push(entry);
+            } else {
+                packStreams.set(coveredEpisode, [...(packStreams.get(coveredEpisode) || []), entry]);
+            }
+        }
+    }
+    setResolveEntries(resolveEntries);
+    
+    log.info(`✅ Prepared ${streams.length} lazy stream(s) for ${postUrl}${packStreams.size > 0 ? ` (+ ${packStreams.size} other episode(s) of the pack)` : ''}`);
+    return { streams, packStreams };
+}
+
+// Resolve all matching scnlog posts and merge their streams (see mergeStreams)
+// Returns { streams, sources, packEpisodes } - packEpisodes maps the other episodes covered by packs to { streams, sources }
+async function resolveStreamsFromPosts(posts, label, config, options = {}) {
+    const selectedPosts = posts.slice(0, MAX_POSTS_PER_REQUEST);
+    if (posts.length > selectedPosts.length) {
+        log.warn(`⚠️  ${posts.length} posts found, only resolving the first ${selectedPosts.length}`);
+    }
+    
+    // Posts are resolved in parallel - browser usage is limited by waitForBrowserSlot
+    const results = await Promise.all(selectedPosts.map(async post => {
+        const postRecord = {
+            url: post.url,
+            title: post.title || null,
+            stages: {},
+            multiUpLink: null,
+            hosters: [],  // [{ host, validity, status }] - see recordPostHosters
+            pack: null,  // { episodes, selectFile } for season packs and multi-episode releases - see getUploadCoverage
+            streams: 0,
+            failure: null
+        };
+        if (options.record) {
+            options.record.posts.push(postRecord);
+        }
+        const result = await resolveStreamsFromPost(post, label, config, { ...options, postRecord }).catch(error => {
+            log.error(`❌ Error resolving post ${post.url}: ${error.message}`);
+            return { streams: [], failure: createFailure('post', 'resolve_error') };
+        });
+        postRecord.streams = result.streams.length;
+        postRecord.failure = result.failure ? result.failure.message : null;
+        return result;
+    }));
+    
+    // Cleanup browser pages after hoster extraction (whether successful or not)
+    await cleanupBrowserPages();
+    
+    const merged = mergeStreams(results.flatMap(result => result.streams));
+    if (merged.streams.length === 0) {
+        return { streams: [], failure: pickFailure(results.filter(result => result.failure).map(result => result.failure)) };
+    }
+    
+    // Streams of the other episodes covered by season packs and multi-episode releases
+    const packStreams = new Map();
+    for (const result of results) {
+        for (const [coveredEpisode, streams] of result.packStreams || []) {
+            packStreams.set(coveredEpisode, [...(packStreams.get(coveredEpisode) || []), ...streams]);
+        }
+    }
+    const packEpisodes = new Map([...packStreams].map(([coveredEpisode, streams]) => [coveredEpisode, mergeStreams(streams)]));
+    return { ...merged, packEpisodes };
+}
+
+// Deduplicate streams (same hoster link, or same release from the same hoster) and sort them by quality
+// Returns { streams, sources } with the internal fields split off into cache sources (aligned with streams)
+function mergeStreams(candidates) {
+    const seenKeys = new Set();
+    const streams = [];
+    for (const stream of candidates) {
+        const urlKey = `url:${stream.url}`;
+        const releaseKey = stream.release ? `release:${stream.release}:${stream.host}` : null;
+        if (seenKeys.has(urlKey) || (releaseKey && seenKeys.has(releaseKey))) {
+            continue;
+        }
+        seenKeys.add(urlKey);
+        if (releaseKey) {
+            seenKeys.add(releaseKey);
+        }
+        streams.push(stream);
+    }
+    
+    // Best quality first
+    streams.sort((a, b) => b.qualityRank - a.qualityRank);
+    return {
+        streams: streams.map(({ qualityRank, release, host, ...stream }) => stream),
+        sources: streams.map(({ release, host }) => ({ host, release }))
+    };
+}
+
+// Cache the streams that season packs and multi-episode releases gave for the other episodes they cover
+// Episodes that already have cached streams keep them
+function cachePackEpisodes(imdbId, season, packEpisodes, variant) {
+    let cached = 0;
+    for (const [episode, { streams, sources }] of packEpisodes) {
+        if (!hasCachedStreams(imdbId, season, episode, variant)) {
+            setCachedStreams(imdbId, season, episode, streams, sources, variant);
+            cached++;
+        }
+    }
+    if (cached > 0) {
+        log.info(`📦 Cached pack streams for ${cached} other episode(s) of ${imdbId} season ${season}`);
+    }
+}
 
 // Actual stream request handler (extracted for timeout wrapper)
-async function handleStreamRequest(type, id, requestStartTime, config) {
+// options.fresh skips the cached streams and failures (the result is still cached)
+async function handleStreamRequest(type, id, requestStartTime, config, options = {}) {
+    // Dashboard record with stage timings (throwaway record when called without one)
+    const record = options.record || { stages: {}, posts: [] };
     try {
         // Parse the ID to extract title, season, episode
-        // Stremio uses IMDB IDs: tt123456:season:episode for series
+        // Stremio uses IMDB IDs: tt123456:season:episode for series, tt123456 for movies
         // Or custom IDs: title:season:episode
         const parts = id.split(':');
         
@@ -1263,186 +2535,201 @@ async function handleStreamRequest(type, id, requestStartTime, config) {
             
             // Validate season and episode
             if (isNaN(season) || isNaN(episode) || season < 1 || episode < 1) {
-                console.log(`❌ Invalid season/episode: S${season}E${episode}`);
+                log.warn(`❌ Invalid season/episode: S${season}E${episode}`);
                 return { streams: [] };
             }
             
-            // Check cache first (only for IMDB IDs)
-            if (imdbId.startsWith('tt')) {
-                const cachedStreams = getCachedStreams(imdbId, season, episode);
+            // Check cache first (only for IMDB IDs), including recent failures
+            const variant = config.user?.variant;
+            const cacheKey = imdbId.startsWith('tt') ? getCacheKey(imdbId, season, episode, variant) : null;
+            if (cacheKey && !options.fresh) {
+                const cachedStreams = await getCachedStreams(imdbId, season, episode, variant, getDebridProvider(config));
                 if (cachedStreams) {
                     const cacheTime = Date.now() - requestStartTime;
-                    console.log(`⚡ Returning ${cachedStreams.length} cached streams for ${imdbId} S${season}E${episode} (${cacheTime}ms)`);
+                    log.info(`⚡ Returning ${cachedStreams.length} cached streams for ${imdbId} S${season}E${episode} (${cacheTime}ms)`);
+                    record.fromCache = true;
+                    recordStage(record, 'cache', cacheTime);
+                    if (!options.background) {
+                        schedulePrefetch(imdbId, season, episode, config);
+                    }
                     return { streams: cachedStreams };
                 }
+                
+                const cachedFailure = getCachedFailure(cacheKey);
+                if (cachedFailure) {
+                    log.info(`⚡ Returning cached failure for ${imdbId} S${season}E${episode}: ${cachedFailure.stage}/${cachedFailure.reason}`);
+                    record.fromCache = true;
+                    record.failure = cachedFailure.message;
+                    return { streams: [createErrorStream(cachedFailure.message)] };
+                }
             }
             
+            recordStage(record, 'cache', Date.now() - requestStartTime);
+            
             // Check if it's an IMDB ID (starts with "tt")
             let title = null;
+            let originalTitle = null;
+            let meta = null;
             if (imdbId.startsWith('tt')) {
                 // For IMDB IDs, fetch the title from Cinemeta
-                title = await getTitleFromImdbId(imdbId, type);
-                if (!title) {
-                    console.log(`❌ Could not fetch title for IMDB ID: ${imdbId}`);
+                const metaStartTime = Date.now();
+                const titles = await getTitleFromImdbId(imdbId, type);
+                recordStage(record, 'metadata', Date.now() - metaStartTime);
+                if (!titles) {
+                    log.warn(`❌ Could not fetch title for IMDB ID: ${imdbId}`);
+                    record.failure = 'Could not fetch title from Cinemeta';
                     return { streams: [] };
                 }
+                ({ title, originalTitle, meta } = titles);
             } else {
                 // Title-based ID
                 title = parts.slice(0, -2).join(':'); // Handle titles with colons
             }
             
             if (!title) {
-                console.log(`❌ No title found in ID: ${id}`);
+                log.warn(`❌ No title found in ID: ${id}`);
                 return { streams: [] };
             }
             
-            console.log(`🎬 Processing: ${title} S${season}E${episode}`);
+            log.info(`🎬 Processing: ${title} S${season}E${episode}`);
+            record.title = `${title} S${season.toString().padStart(2, '0')}E${episode.toString().padStart(2, '0')}`;
             
             // Search scnlog.me
             const searchStartTime = Date.now();
-            const postUrl = await searchScnlog(title, season, episode);
+            const episodeFormats = getEpisodeFormats(imdbId, season, episode, getEpisodeAirDate(meta, season, episode));
+            const { posts, error: searchError } = await searchScnlog(getSearchTitles(imdbId, title, originalTitle), episodeFormats, createSearchBudget(requestStartTime), record);
             const searchTime = Date.now() - searchStartTime;
-            console.log(`⏱️  Search took ${searchTime}ms`);
-            if (!postUrl) {
-                console.log(`⚠️  No scnlog post found - returning error stream`);
+            log.info(`⏱️  Search took ${searchTime}ms`);
+            recordStage(record, 'search', searchTime);
+            if (posts.length === 0) {
+                log.warn(`⚠️  No scnlog post found${searchError ? ` (search failed: ${searchError})` : ''} - returning error stream`);
                 // Cleanup browser pages before returning
                 await cleanupBrowserPages();
-                return { streams: [createErrorStream('No scnlog post found')] };
+                // A failed search proves nothing - only a clean miss is remembered (search_error is not cached)
+                const failure = createFailure('search', searchError ? 'search_error' : 'no_post');
+                record.failure = failure.message;
+                setCachedFailure(cacheKey, failure);
+                return { streams: [createErrorStream(failure.message)] };
             }
             
-            // Extract MultiUp link
-            const extractStartTime = Date.now();
-            const multiUpLink = await extractMultiUpLink(postUrl);
-            const extractTime = Date.now() - extractStartTime;
-            console.log(`⏱️  MultiUp extraction took ${extractTime}ms`);
-            if (!multiUpLink) {
-                console.log(`⚠️  No MultiUp link found - returning error stream`);
-                // Cleanup browser pages before returning
-                await cleanupBrowserPages();
-                return { streams: [createErrorStream('No MultiUp link found')] };
+            const resolveStartTime = Date.now();
+            const label = getEpisodeLabel(title, season, episode, getDebridProvider(config).name);
+            const { streams, sources, packEpisodes, failure } = await resolveStreamsFromPosts(posts, label, config, {
+                ...options,
+                episode: { title, season, episode }
+            });
+            
+            recordStage(record, 'resolve', Date.now() - resolveStartTime);
+            const totalTime = Date.now() - requestStartTime;
+            log.info(`⏱️  Total request time: ${totalTime}ms`);
+            
+            if (failure) {
+                record.failure = failure.message;
+                setCachedFailure(cacheKey, failure);
+                return { streams: [createErrorStream(failure.message)] };
             }
             
-            // Get post title for metadata extraction (from the actual post heading, not page title)
-            const postTitleResponse = await axios.get(postUrl, { timeout: 15000 }).catch(() => null);
-            let postTitle = '';
-            if (postTitleResponse) {
-                const $post = cheerio.load(postTitleResponse.data);
-                // Try to get the post title from common scnlog.me selectors
-                postTitle = $post('h1.post-title, h1.entry-title, .post-title, .entry-title').first().text().trim() ||
-                           $post('h1').first().text().trim() ||
-                           $post('title').text();
+            // Cache the streams if we have an IMDB ID and got results
+            if (imdbId.startsWith('tt')) {
+                setCachedStreams(imdbId, season, episode, streams, sources, variant);
+                cachePackEpisodes(imdbId, season, packEpisodes, variant);
+                // Binge watching: get the next episode ready in the background
+                if (!options.background) {
+                    schedulePrefetch(imdbId, season, episode, config);
+                }
             }
             
-            // Extract hoster links with metadata
-            const hosterStartTime = Date.now();
-            const { links: hosterLinks, metadata } = await extractHosterLinks(multiUpLink, postTitle);
-            const hosterTime = Date.now() - hosterStartTime;
-            console.log(`⏱️  Hoster extraction took ${hosterTime}ms`);
-            if (hosterLinks.length === 0) {
-                console.log(`⚠️  No valid hoster links found - returning error stream`);
-                // Cleanup browser pages before returning
-                await cleanupBrowserPages();
-                return { streams: [createErrorStream('No valid hoster links found')] };
+            log.info(`✅ Returning ${streams.length} stream(s)`);
+            return { streams };
+        } else if (type === 'movie' && parts[0].startsWith('tt')) {
+            const imdbId = parts[0]; // e.g., "tt1234567"
+            
+            // Check cache first, including recent failures
+            const variant = config.user?.variant;
+            const cacheKey = getMovieCacheKey(imdbId, variant);
+            const cachedStreams = options.fresh ? null : await getCachedMovieStreams(imdbId, variant, getDebridProvider(config));
+            if (cachedStreams) {
+                const cacheTime = Date.now() - requestStartTime;
+                log.info(`⚡ Returning ${cachedStreams.length} cached streams for movie ${imdbId} (${cacheTime}ms)`);
+                record.fromCache = true;
+                recordStage(record, 'cache', cacheTime);
+                return { streams: cachedStreams };
             }
             
-            // Format stream title and subtitle (swapped)
-            // Quality should be lowercase 'p' (1080p, 720p, 4K)
-            let qualityDisplay = metadata.quality || 'Unknown';
-            // Ensure quality ends with lowercase 'p' if it's a resolution (not 4K)
-            if (qualityDisplay !== '4K' && qualityDisplay.match(/\d+p/i)) {
-                qualityDisplay = qualityDisplay.toLowerCase();
+            const cachedFailure = options.fresh ? null : getCachedFailure(cacheKey);
+            if (cachedFailure) {
+                log.info(`⚡ Returning cached failure for movie ${imdbId}: ${cachedFailure.stage}/${cachedFailure.reason}`);
+                record.fromCache = true;
+                record.failure = cachedFailure.message;
+                return { streams: [createErrorStream(cachedFailure.message)] };
             }
             
-            const sizeDisplay = formatFileSize(metadata.size, metadata.sizeUnit);
-            const scenegroupDisplay = metadata.scenegroup || 'Unknown';
+            recordStage(record, 'cache', Date.now() - requestStartTime);
             
-            // Get Real-Debrid streams - try hoster links until we find one that works
-            // Stop after first successful stream (we don't need multiple streams for the same video)
-            const rdStartTime = Date.now();
-            const streams = [];
-            for (const hosterLink of hosterLinks) {
-                try {
-                    const stream = await getRealDebridStream(hosterLink.url, config.realdebrid.apiKey);
-                    if (stream) {
-                        // Title: "📁 'Movie/series Title' SxxExx\n💾 x GB   🏷️ 'Scenegroup name'\n🔎 'hoster'"
-                        const titleLine1 = `📁  ${title} S${season.toString().padStart(2, '0')}E${episode.toString().padStart(2, '0')}`;
-                        const titleLine2Parts = [];
-                        
-                        if (sizeDisplay) {
-                            titleLine2Parts.push(`💾  ${sizeDisplay}`);
-                        }
-                        
-                        titleLine2Parts.push(`🏷️  ${scenegroupDisplay}`);
-                        
-                        const titleLine2 = titleLine2Parts.join('   '); // 3 spaces between GB and 🏷️
-                        const titleLine3 = `🔎  ${hosterLink.host}`;
-                        const streamTitle = `${titleLine1}\n${titleLine2}\n${titleLine3}`;
-                        
-                        // Subtitle: "Streamzio 1080p" (lowercase p)
-                        const streamSubtitle = `Streamzio ${qualityDisplay}`;
-                        
-                        streams.push({
-                            title: streamTitle,
-                            name: streamSubtitle,  // Use 'name' for subtitle in Stremio
-                            url: stream.url,
-                            behaviorHints: {
-                                bingeGroup: `${title}-S${season}E${episode}`,
-                                notWebReady: false
-                            }
-                        });
-                        console.log(`✅ Added stream from ${hosterLink.host}`);
-                        // Stop after first successful stream - we don't need multiple streams
-                        break;
-                    }
-                } catch (error) {
-                    // Error is already logged in getRealDebridStream function with detailed messages
-                    // Continue to next hoster
-                }
+            // Fetch title and year from Cinemeta
+            const metaStartTime = Date.now();
+            const meta = await getMetaFromImdbId(imdbId, type);
+            recordStage(record, 'metadata', Date.now() - metaStartTime);
+            if (!meta) {
+                log.warn(`❌ Could not fetch title for IMDB ID: ${imdbId}`);
+                record.failure = 'Could not fetch title from Cinemeta';
+                return { streams: [] };
             }
+            const title = meta.name;
+            const year = getYearFromMeta(meta);
             
-            // Cleanup browser pages after Real-Debrid processing (whether successful or not)
-            await cleanupBrowserPages();
+            log.info(`🎬 Request for movie: ${title}${year ? ` (${year})` : ''}`);
+            record.title = year ? `${title} (${year})` : title;
             
-            // Cache the streams if we have an IMDB ID and got results
-            if (imdbId.startsWith('tt') && streams.length > 0) {
-                setCachedStreams(imdbId, season, episode, streams);
+            // Search scnlog.me
+            const searchStartTime = Date.now();
+            const { posts, error: searchError } = await searchScnlogMovie(getSearchTitles(imdbId, title, getOriginalTitle(meta)), year, createSearchBudget(requestStartTime), record);
+            const searchTime = Date.now() - searchStartTime;
+            log.info(`⏱️  Search took ${searchTime}ms`);
+            recordStage(record, 'search', searchTime);
+            if (posts.length === 0) {
+                log.warn(`⚠️  No scnlog post found${searchError ? ` (search failed: ${searchError})` : ''} - returning error stream`);
+                // Cleanup browser pages before returning
+                await cleanupBrowserPages();
+                // A failed search proves nothing - only a clean miss is remembered (search_error is not cached)
+                const failure = createFailure('search', searchError ? 'search_error' : 'no_post');
+                record.failure = failure.message;
+                setCachedFailure(cacheKey, failure);
+                return { streams: [createErrorStream(failure.message)] };
             }
             
-            const rdTime = Date.now() - rdStartTime;
+            const resolveStartTime = Date.now();
+            const { streams, sources, failure } = await resolveStreamsFromPosts(posts, {
+                displayTitle: year ? `${title} (${year})` : title,
+                providerName: getDebridProvider(config).name
+            }, config, options);
+            
+            recordStage(record, 'resolve', Date.now() - resolveStartTime);
             const totalTime = Date.now() - requestStartTime;
-            console.log(`⏱️  Real-Debrid processing took ${rdTime}ms`);
-            console.log(`⏱️  Total request time: ${totalTime}ms`);
+            log.info(`⏱️  Total request time: ${totalTime}ms`);
             
-            // If no streams were found after trying all hosters, return error stream
-            if (streams.length === 0) {
-                console.log(`⚠️  No valid Real-Debrid streams found after trying all hosters - returning error stream`);
-                return { streams: [createErrorStream('No valid Real-Debrid streams found')] };
+            if (failure) {
+                record.failure = failure.message;
+                setCachedFailure(cacheKey, failure);
+                return { streams: [createErrorStream(failure.message)] };
             }
             
-            console.log(`✅ Returning ${streams.length} stream(s)`);
+            setCachedMovieStreams(imdbId, streams, sources, variant);
             
-            // Cleanup already done after Real-Debrid processing
+            log.info(`✅ Returning ${streams.length} stream(s)`);
             return { streams };
-        } else if (type === 'movie' && parts.length >= 2) {
-            const title = parts.slice(1).join(':');
-            
-            console.log(`\n🎬 Request for movie: ${title}`);
-            
-            // For movies, search without season/episode
-            // This would need a different search strategy
-            // For now, return empty
-            return { streams: [] };
         }
         
         return { streams: [] };
     } catch (error) {
-        console.error('❌ Error in stream handler:', error);
-        console.error('Stack:', error.stack);
+        log.error('❌ Error in stream handler:', error);
+        log.error('Stack:', error.stack);
+        record.failure = `Error: ${error.message}`;
         // Ensure cleanup happens even on error
         try {
             await cleanupBrowserPages();
         } catch (cleanupError) {
-            console.log(`⚠️  Cleanup error in catch block: ${cleanupError.message}`);
+            log.warn(`⚠️  Cleanup error in catch block: ${cleanupError.message}`);
         }
         return { streams: [] };
     }
@@ -1453,7 +2740,7 @@ async function gracefulShutdown() {
     if (isShuttingDown) return;
     isShuttingDown = true;
     
-    console.log('\n🛑 Starting graceful shutdown...');
+    log.info('🛑 Starting graceful shutdown...');
     
     // Close all active pages
     const pageClosePromises = Array.from(activePages).map(page => {
@@ -1471,11 +2758,11 @@ async function gracefulShutdown() {
     // Close browser
     if (globalBrowser && globalBrowser.isConnected()) {
         try {
-            console.log('   Closing browser...');
+            log.info('   Closing browser...');
             await globalBrowser.close();
-            console.log('   Browser closed');
+            log.info('   Browser closed');
         } catch (error) {
-            console.log(`   Error closing browser: ${error.message}`);
+            log.info(`   Error closing browser: ${error.message}`);
         }
     }
     
@@ -1489,7 +2776,17 @@ async function gracefulShutdown() {
         periodicCleanupInterval = null;
     }
     
-    console.log('✅ Graceful shutdown complete');
+    // Clear debrid host list refresh interval
+    if (hosterSupportInterval) {
+        clearInterval(hosterSupportInterval);
+        hosterSupportInterval = null;
+    }
+    
+    // Write pending cache changes and hoster statistics to disk
+    flushCache();
+    flushStats();
+    
+    log.info('✅ Graceful shutdown complete');
 }
 
 // Setup signal handlers for graceful shutdown
@@ -1505,63 +2802,443 @@ process.on('SIGINT', async () => {
 
 // Handle uncaught errors
 process.on('unhandledRejection', (reason, promise) => {
-    console.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
+    log.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
     // Log stack trace if available
     if (reason && reason.stack) {
-        console.error('Stack:', reason.stack);
+        log.error('Stack:', reason.stack);
     }
     // Don't exit - log and continue, but ensure cleanup
     cleanupBrowserPages().catch(err => {
-        console.error('⚠️  Cleanup failed in unhandled rejection:', err.message);
+        log.warn('⚠️  Cleanup failed in unhandled rejection:', err.message);
     });
 });
 
 process.on('uncaughtException', (error) => {
-    console.error('❌ Uncaught Exception:', error);
+    log.error('❌ Uncaught Exception:', error);
     gracefulShutdown().then(() => {
         process.exit(1);
     });
 });
 
+// Debrid account status for the dashboard (cached for 5 minutes to spare the debrid API)
+async function getDebridAccountStatus() {
+    const config = getConfig();
+    const provider = getDebridProvider(config);
+    if (!provider) {
+        return { providerId: config.debrid.provider, configured: false };
+    }
+    if (accountStatusCache && accountStatusCache.providerId === provider.id &&
+        Date.now() - accountStatusCache.fetchedAt < ACCOUNT_STATUS_TTL) {
+        return accountStatusCache;
+    }
+    
+    let status = null;
+    let error = null;
+    try {
+        status = await provider.getAccountStatus();
+    } catch (e) {
+        error = e.message;
+    }
+    accountStatusCache = {
+        providerId: provider.id,
+        providerName: provider.name,
+        configured: true,
+        status,
+        error,
+        fetchedAt: Date.now()
+    };
+    return accountStatusCache;
+}
+
+// Everything the dashboard shows
+async function getDashboardData() {
+    const config = getConfig();
+    const cacheEntries = listCacheEntries()
+        .filter(entry => entry.kind !== 'resolve')
+        .reverse();  // Most recently used first
+    
+    return {
+        version: manifest.version,
+        generatedAt: new Date().toISOString(),
+        uptimeMs: Date.now() - serverStartedAt,
+        tunnel: {
+            url: getPublicBaseUrl(),
+            source: config.server.publicBaseUrl ? 'config.json' : (requestContext.getStore()?.baseUrl ? 'this request' : 'localhost')
+        },
+        debrid: await getDebridAccountStatus(),
+        browser: getBrowserState(),
+        inFlight: getInFlightState(),
+        recentRequests,
+        hosters: getHosterStats(),
+        cache: {
+            stats: { ...getCacheStats(), keys: undefined },
+            entries: cacheEntries
+        }
+    };
+}
+
+// Readiness checks per component, each resolves with { status: 'ok'|'degraded'|'fail', message }
+// Account details go into `details`, which is only shown to admins
+const READINESS_CHECKS = {
+    // Browser can be started and answers over the DevTools connection
+    browser: async () => {
+        const browser = await getBrowser();
+        if (!browser.isConnected()) {
+            return { status: 'fail', message: 'Browser is not connected' };
+        }
+        const version = await browser.version();
+        const pages = await browser.pages();
+        return {
+            status: 'ok',
+            message: `${version}, ${isBrowserHeadless ? 'headless' : 'visible'}, ${pages.length} page(s)`
+        };
+    },
+    
+    // scnlog.me answers the search page without a block
+    scnlog: async () => {
+        const response = await axios.get('https://scnlog.me/', {
+            headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36' },
+            timeout: 10000,
+            validateStatus: () => true
+        });
+        if (response.status >= 200 && response.status < 300) {
+            return { status: 'ok', message: `HTTP ${response.status}` };
+        }
+        return { status: 'fail', message: `HTTP ${response.status}` };
+    },
+    
+    // MultiUp is reachable and no Cloudflare challenge is waiting to be solved
+    multiup: async () => {
+        const response = await axios.get('https://multiup.io/', { timeout: 10000, validateStatus: () => true });
+        // Cloudflare answers plain HTTP clients with 403 - that still means MultiUp is up
+        if (response.status >= 500) {
+            return { status: 'fail', message: `HTTP ${response.status}` };
+        }
+        if (cloudflareChallengeDetected) {
+            return { status: 'degraded', message: 'Cloudflare challenge pending - solve it in the visible browser' };
+        }
+        if (!fs.existsSync(path.join(__dirname, '.browser-data', 'Default', 'Cookies'))) {
+            return { status: 'degraded', message: 'No Cloudflare cookies yet - the first request may need a challenge' };
+        }
+        return { status: 'ok', message: 'Reachable, Cloudflare cookies present' };
+    },
+    
+    // Debrid API key is accepted and the account is premium
+    debrid: async () => {
+        const provider = getDebridProvider(getConfig());
+        if (!provider) {
+            return { status: 'fail', message: 'Debrid provider not configured' };
+        }
+        let account;
+        try {
+            account = await provider.getAccountStatus();
+        } catch (error) {
+            const status = error.response?.status;
+            return {
+                status: 'fail',
+                message: status === 401 || status === 403 ? `${provider.name} rejected the API key` : `${provider.name}: ${error.message}`
+            };
+        }
+        if (!account.premium) {
+            return { status: 'fail', message: `${provider.name} account is not premium` };
+        }
+        if (account.expiration) {
+            const daysLeft = Math.floor((new Date(account.expiration).getTime() - Date.now()) / (24 * 60 * 60 * 1000));
+            const details = { username: account.username || null, expiration: account.expiration, daysLeft };
+            if (daysLeft < PREMIUM_WARNING_DAYS) {
+                return { status: 'degraded', message: `${provider.name} premium expires soon`, details };
+            }
+            return { status: 'ok', message: `${provider.name} premium`, details };
+        }
+        return { status: 'ok', message: `${provider.name} premium`, details: { username: account.username || null } };
+    }
+};
+
+// Run one readiness check, reusing its result for READINESS_CACHE_TTL
+async function checkReadinessComponent(component) {
+    const cached = readinessResults.get(component);
+    if (cached && Date.now() - cached.checkedAt < READINESS_CACHE_TTL) {
+        return cached.result;
+    }
+    
+    const startTime = Date.now();
+    let result;
+    try {
+        result = await withTimeout(READINESS_CHECKS[component](), 30000, `${component} check`);
+    } catch (error) {
+        result = { status: 'fail', message: error.message };
+    }
+    result = { ...result, durationMs: Date.now() - startTime };
+    if (result.status !== 'ok') {
+        log.info(`🩺 Readiness ${component}: ${result.status} - ${result.message}`);
+    }
+    readinessResults.set(component, { result, checkedAt: Date.now() });
+    return result;
+}
+
+// Run readiness checks (all components or the given subset) in parallel
+// Overall status: 'fail' when any component fails, 'degraded' when any is degraded, otherwise 'ok'
+// Component details (debrid account) are left out unless withDetails is set
+async function getReadiness(components = Object.keys(READINESS_CHECKS), { withDetails = false } = {}) {
+    const results = await Promise.all(components.map(async component => {
+        const { details, ...result } = await checkReadinessComponent(component);
+        return [component, withDetails && details ? { ...result, details } : result];
+    }));
+    
+    const statuses = results.map(([, result]) => result.status);
+    return {
+        status: statuses.includes('fail') ? 'fail' : (statuses.includes('degraded') ? 'degraded' : 'ok'),
+        checkedAt: new Date().toISOString(),
+        components: Object.fromEntries(results)
+    };
+}
+
+// Check if a request carries the admin token as bearer token
+function hasAdminBearer(req, adminToken) {
+    const bearer = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    return !!adminToken && !!bearer && isValidAccessToken(bearer, [adminToken]);
+}
+
+// Check an access token against the configured tokens
+// Both sides are hashed first so the comparison is constant-time and length independent
+function isValidAccessToken(token, accessTokens) {
+    const tokenHash = crypto.createHash('sha256').update(String(token)).digest();
+    return accessTokens.some(accessToken =>
+        crypto.timingSafeEqual(tokenHash, crypto.createHash('sha256').update(String(accessToken)).digest())
+    );
+}
+
 // Start server
 async function startServer() {
     const config = getConfig();
     
-    if (!config.realdebrid.apiKey || !config.realdebrid.enabled) {
-        console.log('⚠️  Real-Debrid not configured. Please set REALDEBRID_API_KEY or edit config.json');
+    if (!isDebridConfigured(config)) {
+        log.warn(`⚠️  Debrid provider '${config.debrid.provider}' not configured. Please set its API key (e.g. REALDEBRID_API_KEY) or edit config.json`);
     }
     
     // Pre-start browser for faster first request
     preStartBrowser().catch(err => {
-        console.log(`⚠️  Browser pre-start error: ${err.message}`);
+        log.warn(`⚠️  Browser pre-start error: ${err.message}`);
     });
     
+    // Keep the debrid provider's supported host list fresh
+    startHosterSupportRefresh();
+    
     const httpPort = config.server.port || 7004;
+    const accessTokens = config.server.accessTokens.filter(Boolean);
+    
+    // The addon spends the owner's debrid account - it is never served without access token unless explicitly allowed
+    if (accessTokens.length === 0 && !config.server.allowUnauthenticated) {
+        const token = createAccessToken();
+        if (token) {
+            accessTokens.push(token);
+            log.warn('🔑 No access token configured - generated one and saved it in config.json (server.accessTokens)');
+        }
+    }
     const app = express();
     
-    // Dynamic base URL detection from requests
+    // Dynamic base URL detection per request
+    // Kept in the request context, so a localhost request (health check) can't change the URLs of a tunnel request
     app.use((req, _res, next) => {
-        try {
-            const host = req.headers.host;
-            if (host) {
-                // Detect protocol from request (Localtunnel uses HTTPS)
-                // Check X-Forwarded-Proto header (set by reverse proxies/tunnels)
-                const proto = req.headers['x-forwarded-proto'] || 
-                             (req.secure ? 'https' : 'http');
-                // Update dynamic base URL based on the request
-                // This ensures logo uses the correct host and protocol
-                dynamicBaseUrl = `${proto}://${host}`;
+        let baseUrl = null;
+        const host = req.headers.host;
+        if (host) {
+            // Detect protocol from request (Localtunnel uses HTTPS)
+            // Check X-Forwarded-Proto header (set by reverse proxies/tunnels)
+            const proto = req.headers['x-forwarded-proto'] || 
+                         (req.secure ? 'https' : 'http');
+            baseUrl = `${proto}://${host}`;
+        }
+        requestContext.run({ baseUrl }, next);
+    });
+    
+    // Serve static files (logo) - only the public folder, never the project directory (config.json!)
+    app.use(express.static(PUBLIC_DIR));
+    
+    // Health check endpoint
+    app.get('/health', (req, res) => {
+        res.json({
+            status: 'ok',
+            timestamp: new Date().toISOString(),
+            debrid: {
+                provider: config.debrid.provider,
+                status: isDebridConfigured(config) ? 'configured' : 'not configured'
             }
-        } catch (_e) {}
+        });
+    });
+    
+    // Readiness endpoint - probes browser, scnlog, MultiUp and the debrid account
+    // ?component=browser,debrid limits the checks; HTTP 503 when a component fails
+    // Debrid account details are only included for requests with the admin token
+    app.get('/health/ready', async (req, res) => {
+        const requested = req.query.component
+            ? new Set(String(req.query.component).split(',').map(component => component.trim()).filter(Boolean))
+            : new Set(Object.keys(READINESS_CHECKS));
+        const unknown = [...requested].filter(component => !Object.hasOwn(READINESS_CHECKS, component));
+        if (requested.size === 0 || unknown.length > 0) {
+            res.status(400).json({ error: unknown.length > 0 ? `Unknown component(s): ${unknown.join(', ')}` : 'No component given' });
+            return;
+        }
+        
+        // Same order for every request, whatever order the components were asked in
+        const components = Object.keys(READINESS_CHECKS).filter(component => requested.has(component));
+        const readiness = await getReadiness(components, { withDetails: hasAdminBearer(req, config.server.adminToken) });
+        res.status(readiness.status === 'fail' ? 503 : 200).json(readiness);
+    });
+    
+    // Prometheus metrics - always needs an access token or the admin token as bearer token
+    app.get('/metrics', (req, res) => {
+        const bearer = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+        const tokens = [...accessTokens, config.server.adminToken].filter(Boolean);
+        if (!bearer || !isValidAccessToken(bearer, tokens)) {
+            res.status(401).send('Unauthorized\n');
+            return;
+        }
+        
+        // Point-in-time values are read at scrape time
+        setGauge('streamzio_browser_pages', { kind: 'tracked' }, activePages.size);
+        setGauge('streamzio_browser_slots', { state: 'active' }, activeRequestCount);
+        setGauge('streamzio_browser_slots', { state: 'max' }, maxConcurrentRequests);
+        setGauge('streamzio_browser_slots', { state: 'waiting' }, waitingInteractiveCount);
+        setGauge('streamzio_inflight_requests', {}, inFlightRequests.size);
+        
+        res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.send(renderMetrics());
+    });
+    
+    // Info endpoint
+    app.get('/', (req, res) => {
+        res.json({
+            status: 'online',
+            service: 'Streamzio',
+            version: manifest.version,
+            port: httpPort,
+            endpoints: {
+                manifest: '/manifest.json',
+                configure: '/configure',
+                dashboard: '/dashboard',
+                metrics: '/metrics',
+                health: '/health',
+                ready: '/health/ready'
+            },
+            installUrl: accessTokens.length > 0
+                ? `http://localhost:${httpPort}/<access-token>/manifest.json`
+                : `http://localhost:${httpPort}/manifest.json`
+        });
+    });
+    
+    // Admin API - needs server.adminToken as bearer token, disabled when no admin token is set
+    const requireAdminToken = (req, res, next) => {
+        const adminToken = config.server.adminToken;
+        if (!adminToken) {
+            res.status(404).json({ error: 'Admin API disabled (set server.adminToken)' });
+            return;
+        }
+        if (!hasAdminBearer(req, adminToken)) {
+            res.status(401).json({ error: 'Unauthorized' });
+            return;
+        }
         next();
+    };
+    const adminRouter = express.Router();
+    adminRouter.use(requireAdminToken);
+    
+    // Cache: list entries (?kind=streams|failure|resolve), invalidate one, clear all
+    adminRouter.get('/cache', (req, res) => {
+        const entries = listCacheEntries();
+        res.json({
+            stats: { ...getCacheStats(), keys: undefined },
+            entries: req.query.kind ? entries.filter(entry => entry.kind === req.query.kind) : entries
+        });
+    });
+    adminRouter.delete('/cache/:key', (req, res) => {
+        const removed = invalidateCacheEntry(req.params.key);
+        if (removed === 0) {
+            res.status(404).json({ error: 'Unknown cache key' });
+            return;
+        }
+        res.json({ removed });
+    });
+    adminRouter.delete('/cache', (req, res) => {
+        clearCache();
+        res.json({ cleared: true });
+    });
+    
+    // Cache warming: run the stream pipeline for an id (?force=1 drops the cached entry first)
+    adminRouter.post('/cache/warm/:type/:id', async (req, res) => {
+        const { type, id } = req.params;
+        const streamConfig = getConfig();
+        if (!isDebridConfigured(streamConfig)) {
+            res.status(503).json({ error: 'Debrid provider not configured' });
+            return;
+        }
+        const parts = id.split(':');
+        const cacheKey = type === 'movie' ? getMovieCacheKey(parts[0]) : getCacheKey(...parts);
+        if (req.query.force) {
+            invalidateCacheEntry(cacheKey);
+        }
+        
+        log.info(`🔥 Warming cache for ${type} ${id} (admin request)`);
+        const startTime = Date.now();
+        try {
+            const result = await runWithLogContext({ requestId: createRequestId() }, () =>
+                runStreamRequest(type, id, startTime, streamConfig));
+            res.json({
+                key: cacheKey,
+                // Error streams are not counted (real streams still have their relative /resolve URL here)
+                streams: result.streams.filter(stream => stream.url && stream.url.startsWith('/resolve/')).length,
+                failure: getCachedFailure(cacheKey),
+                durationMs: Date.now() - startTime
+            });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+    
+    // Browser: state, restart (?visible=1 or ?visible=true forces a visible window, anything else restarts normally)
+    adminRouter.get('/browser', (req, res) => {
+        res.json(getBrowserState());
+    });
+    adminRouter.post('/browser/restart', async (req, res) => {
+        try {
+            res.json(await restartBrowser(['1', 'true'].includes(req.query.visible)));
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+    
+    // Pipeline: in-flight requests, prefetch queue and browser slot usage
+    adminRouter.get('/requests', (req, res) => {
+        res.json({ ...getInFlightState(), slots: getBrowserState().slots });
+    });
+    
+    app.use('/admin', adminRouter);
+    
+    // Debug: run the pipeline for an id without cache and return the request trace as JSON
+    // (?unrestrict=0 stops before the debrid attempts)
+    app.get('/debug/resolve/:type/:id', requireAdminToken, async (req, res) => {
+        const { type, id } = req.params;
+        const streamConfig = getConfig();
+        if (!isDebridConfigured(streamConfig)) {
+            res.status(503).json({ error: 'Debrid provider not configured' });
+            return;
+        }
+        try {
+            const trace = await runWithLogContext({ requestId: createRequestId() }, () =>
+                traceStreamRequest(type, id, streamConfig, { unrestrict: req.query.unrestrict !== '0' }));
+            res.json(trace);
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
     });
     
-    // Serve static files (logo, etc.)
-    app.use(express.static(__dirname));
+    // Addon routes (manifest, configure, resolve, stream), mounted behind the access token when configured
+    const addonRouter = express.Router();
     
-    // Custom manifest.json route BEFORE router (to serve dynamic logo URL)
+    // Custom manifest.json routes BEFORE router (to serve dynamic logo URL)
     // The router's manifest handler uses cached manifest, so we intercept it
-    app.get('/manifest.json', (req, res) => {
+    // The configured variant (/<config>/manifest.json) is what users install after /configure
+    const sendManifest = (res, configured) => {
         const baseUrl = getPublicBaseUrl();
         const dynamicManifest = {
             id: manifest.id,
@@ -1573,57 +3250,119 @@ async function startServer() {
             types: manifest.types,
             catalogs: manifest.catalogs,
             resources: manifest.resources,
-            idPrefixes: manifest.idPrefixes
+            idPrefixes: manifest.idPrefixes,
+            // Installed addons are reconfigured by installing a new URL
+            behaviorHints: configured ? {} : manifest.behaviorHints,
+            config: manifest.config
         };
         res.setHeader('Content-Type', 'application/json');
         res.setHeader('Access-Control-Allow-Origin', '*');
         res.json(dynamicManifest);
+    };
+    addonRouter.get('/manifest.json', (req, res) => {
+        sendManifest(res, false);
+    });
+    addonRouter.get('/:config/manifest.json', (req, res) => {
+        if (!parseUserConfig(req.params.config)) {
+            res.status(400).json({ error: 'Invalid addon configuration' });
+            return;
+        }
+        sendManifest(res, true);
     });
     
-    // Mount Stremio addon router (handles resource endpoints)
-    const addonInterface = builder.getInterface();
-    const router = getRouter(addonInterface);
-    app.use(router);
-    
-    // Health check endpoint
-    app.get('/health', (req, res) => {
-        res.json({
-            status: 'ok',
-            timestamp: new Date().toISOString(),
-            realdebrid: config.realdebrid.enabled ? 'configured' : 'not configured'
-        });
+    // Dashboard - read-only status page for everyone with an access token
+    // Without access tokens (server.allowUnauthenticated) it needs the admin token instead
+    const requireDashboardAccess = accessTokens.length > 0 ? (req, res, next) => next() : requireAdminToken;
+    addonRouter.get('/dashboard', requireDashboardAccess, async (req, res) => {
+        res.send(renderDashboard(await getDashboardData()));
+    });
+    addonRouter.get('/dashboard.json', requireDashboardAccess, async (req, res) => {
+        res.json(await getDashboardData());
     });
     
-    // Info endpoint
-    app.get('/', (req, res) => {
-        res.json({
-            status: 'online',
-            service: 'Streamzio',
-            version: manifest.version,
-            port: httpPort,
-            endpoints: {
-                manifest: '/manifest.json',
-                health: '/health'
-            },
-            installUrl: `http://localhost:${httpPort}/manifest.json`
-        });
+    // Configuration page - builds the personal install URL
+    addonRouter.get('/configure', (req, res) => {
+        res.send(renderConfigurePage(manifest, `${getPublicBaseUrl()}/logo.jpg`));
     });
     
+    // Lazy stream resolution - unrestrict the hoster link only when playback starts
+    // /<config>/resolve/<token> uses the debrid key of the user that requested the stream
+    const resolveAndRedirect = async (req, res) => {
+        let userConfig = null;
+        if (req.params.config) {
+            userConfig = parseUserConfig(req.params.config);
+            if (!userConfig) {
+                res.status(400).json({ error: 'Invalid addon configuration' });
+                return;
+            }
+        }
+        const config = getRequestConfig(userConfig);
+        if (!isDebridConfigured(config)) {
+            res.status(503).json({ error: 'Debrid provider not configured' });
+            return;
+        }
+        
+        if (!getResolveEntry(req.params.token)) {
+            res.status(404).json({ error: 'Unknown stream' });
+            return;
+        }
+        
+        try {
+            log.info(`▶️  Playback requested for resolve token ${req.params.token}`);
+            const downloadUrl = await resolvePlaybackUrl(req.params.token, config);
+            if (!downloadUrl) {
+                res.status(502).json({ error: 'Could not resolve stream' });
+                return;
+            }
+            res.redirect(302, downloadUrl);
+        } catch (error) {
+            log.error(`❌ Error resolving stream: ${error.message}`);
+            res.status(500).json({ error: 'Error resolving stream' });
+        }
+    };
+    // Playback requests get their own request ID (they arrive long after the stream request)
+    const handleResolve = (req, res) => runWithLogContext({ requestId: createRequestId() }, () => resolveAndRedirect(req, res));
+    addonRouter.get('/resolve/:token', handleResolve);
+    addonRouter.get('/:config/resolve/:token', handleResolve);
+    
+    // Mount Stremio addon router (handles resource endpoints)
+    const addonInterface = builder.getInterface();
+    addonRouter.use(getRouter(addonInterface));
+    
+    if (accessTokens.length > 0) {
+        app.use('/:accessToken', (req, res, next) => {
+            if (!isValidAccessToken(req.params.accessToken, accessTokens)) {
+                res.status(401).json({ error: 'Unauthorized' });
+                return;
+            }
+            requestContext.run({ ...requestContext.getStore(), accessPrefix: `/${req.params.accessToken}` }, next);
+        }, addonRouter);
+    } else if (config.server.allowUnauthenticated) {
+        log.warn('⚠️  No access token configured and server.allowUnauthenticated is set - anyone who can reach the server can use the addon');
+        app.use(addonRouter);
+    } else {
+        log.error('❌ No access token configured and config.json could not be updated - addon routes are disabled');
+        log.error('   Set server.accessTokens (or ACCESS_TOKENS), or server.allowUnauthenticated for a setup that is never exposed');
+    }
+    
     // Start HTTP server
     const server = app.listen(httpPort, '127.0.0.1', () => {
-        console.log(`\n🌐 Streamzio server running on port ${httpPort}`);
-        console.log(`📡 Install in Stremio:`);
-        console.log(`   http://localhost:${httpPort}/manifest.json`);
-        console.log(`\n⚠️  For network access, use HTTPS (e.g., via localtunnel)`);
+        log.info(`🌐 Streamzio server running on port ${httpPort}`);
+        const prefix = accessTokens.length > 0 ? '/<access-token>' : '';
+        log.info(`📡 Install in Stremio:`);
+        log.info(`   http://localhost:${httpPort}${prefix}/manifest.json`);
+        log.info(`   Personal install (own debrid key): http://localhost:${httpPort}${prefix}/configure`);
+        log.info(`📊 Dashboard: http://localhost:${httpPort}${prefix}/dashboard`);
+        log.warn(`⚠️  For network access, use HTTPS (e.g., via localtunnel)`);
     });
     
     server.on('error', (error) => {
         if (error.code === 'EADDRINUSE') {
-            console.error(`\n❌ Port ${httpPort} is already in use.`);
-            console.error(`   Please stop the other process or use a different port.`);
+            log.error(`❌ Port ${httpPort} is already in use.`);
+            log.error(`   Please stop the other process or use a different port.`);
             process.exit(1);
         } else {
-            console.error('❌ HTTP server error:', error);
+            log.error('❌ HTTP server error:', error);
             process.exit(1);
         }
     });
@@ -1636,7 +3375,7 @@ async function startServer() {
 
 if (require.main === module) {
     startServer().catch((error) => {
-        console.error('❌ Failed to start server:', error);
+        log.error('❌ Failed to start server:', error);
         process.exit(1);
     });
 }
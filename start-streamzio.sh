@@ -139,8 +139,8 @@ while [ $RETRY_COUNT -lt $MAX_RETRIES ]; do
     
     # Check if port is listening
     if lsof -ti:$PORT >/dev/null 2>&1; then
-        # Try to connect and get HTTP response
-        if curl -s -f -o /dev/null --max-time 2 "http://127.0.0.1:$PORT/manifest.json" 2>/dev/null; then
+        # Try to connect and get HTTP response (/health needs no access token)
+        if curl -s -f -o /dev/null --max-time 2 "http://127.0.0.1:$PORT/health" 2>/dev/null; then
             echo "✅ Streamzio is ready on port $PORT"
             break
         fi
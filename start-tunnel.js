@@ -344,9 +344,10 @@ async function checkTunnelHealth(tunnelUrl) {
         const https = require('https');
         
         return new Promise((resolve) => {
-            // Try to access the manifest endpoint to verify tunnel is working
-            const manifestUrl = `${tunnelUrl}/manifest.json`;
-            const req = https.get(manifestUrl, { timeout: 5000 }, (res) => {
+            // Try to access the health endpoint to verify tunnel is working
+            // (public, unlike the addon routes that may require an access token)
+            const healthUrl = `${tunnelUrl}/health`;
+            const req = https.get(healthUrl, { timeout: 5000 }, (res) => {
                 // If we get a response (even error codes), tunnel is active
                 resolve(res.statusCode < 500); // 5xx errors might indicate tunnel is down
             });
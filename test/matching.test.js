@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { stripTitleYear, scoreTitleMatch } = require('../matching');
+
+const MIN_MATCH_SCORE = 0.8;  // Default scnlog.MIN_MATCH_SCORE
+
+test('stripTitleYear drops a trailing year in parentheses', () => {
+    assert.strictEqual(stripTitleYear('Skam (2018)'), 'Skam');
+    assert.strictEqual(stripTitleYear('Doctor Who (2005)'), 'Doctor Who');
+});
+
+test('stripTitleYear keeps a year that is part of the title', () => {
+    assert.strictEqual(stripTitleYear('Blade Runner 2049'), 'Blade Runner 2049');
+    assert.strictEqual(stripTitleYear('1923'), '1923');
+});
+
+test('releases of a title ending in a year match once the year is stripped', () => {
+    assert.ok(scoreTitleMatch('Skam (2018)', 'Skam.S01E01.FLEMISH.1080p.WEB.h264-GRP') < MIN_MATCH_SCORE);
+    assert.ok(scoreTitleMatch(stripTitleYear('Skam (2018)'), 'Skam.S01E01.FLEMISH.1080p.WEB.h264-GRP') >= MIN_MATCH_SCORE);
+    assert.ok(scoreTitleMatch(stripTitleYear('Thuis (2023)'), 'Thuis.S29E01.FLEMISH.720p.WEB.h264-GRP') >= MIN_MATCH_SCORE);
+});
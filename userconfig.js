@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const { getConfig } = require('./config');
+const { PROVIDERS } = require('./debrid');
+
+// Per-user settings carried in the install URL (/<encoded-config>/manifest.json)
+// Follows the Stremio SDK convention: the path segment is URI-encoded JSON
+const USER_CONFIG_FIELDS = [
+    { key: 'provider', type: 'select', title: 'Debrid provider', options: Object.keys(PROVIDERS), default: 'realdebrid', required: true },
+    { key: 'apiKey', type: 'password', title: 'Debrid API key', required: true },
+    { key: 'preferredHosters', type: 'text', title: 'Preferred hosters (comma separated, tried first)' },
+    { key: 'blockedHosters', type: 'text', title: 'Blocked hosters (comma separated, never used)' }
+];
+
+// Turn a comma separated string or array into a clean list of hoster names
+function parseHosterList(value) {
+    const items = Array.isArray(value) ? value : String(value || '').split(',');
+    return items
+        .map(item => String(item).trim().toLowerCase())
+        .filter(item => item.length > 0);
+}
+
+// Validate a user config from the install URL
+// Accepts the parsed object (addon router) or the raw path segment (express routes)
+// Returns { provider, apiKey, preferredHosters, blockedHosters } or null when invalid
+function parseUserConfig(raw) {
+    let userConfig = raw;
+    if (typeof raw === 'string') {
+        try {
+            userConfig = JSON.parse(raw);
+        } catch (e) {
+            return null;
+        }
+    }
+    if (!userConfig || typeof userConfig !== 'object') {
+        return null;
+    }
+    
+    const provider = userConfig.provider || 'realdebrid';
+    const apiKey = typeof userConfig.apiKey === 'string' ? userConfig.apiKey.trim() : '';
+    if (!PROVIDERS[provider] || !apiKey) {
+        return null;
+    }
+    
+    return {
+        provider,
+        apiKey,
+        preferredHosters: parseHosterList(userConfig.preferredHosters),
+        blockedHosters: parseHosterList(userConfig.blockedHosters)
+    };
+}
+
+// Encode a user config as install URL path segment
+function encodeUserConfig(userConfig) {
+    return encodeURIComponent(JSON.stringify(userConfig));
+}
+
+// Build the config for one request: server settings with the user's debrid provider, key and hosters
+// config.user carries the cache variant (users with the same provider and hoster preferences
+// share cached streams, the API key is not part of it) and the path prefix for /resolve URLs
+function getRequestConfig(userConfig) {
+    if (!userConfig) {
+        return getConfig();
+    }
+    
+    // Work on a copy - the user's key and hosters must never end up in the shared config
+    const config = structuredClone(getConfig());
+    const { provider, apiKey, preferredHosters, blockedHosters } = userConfig;
+    config.debrid = { ...config.debrid, provider };
+    config[provider] = { ...config[provider], apiKey, enabled: true };
+    if (preferredHosters.length > 0 || blockedHosters.length > 0) {
+        config.hosters = { preferred: preferredHosters, blocked: blockedHosters };
+    }
+    
+    const variant = crypto.createHash('sha1')
+        .update(JSON.stringify([provider, config.hosters.preferred, config.hosters.blocked]))
+        .digest('hex')
+        .substring(0, 8);
+    config.user = {
+        variant,
+        pathPrefix: `/${encodeUserConfig(userConfig)}`
+    };
+    return config;
+}
+
+// Escape text for use in HTML
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Render the /configure page: a form that builds the personal install URL in the browser
+// (the API key never has to be sent to the server to create it)
+function renderConfigurePage(manifest, logoUrl) {
+    const providerNames = {
+        realdebrid: 'Real-Debrid',
+        alldebrid: 'AllDebrid',
+        premiumize: 'Premiumize',
+        debridlink: 'Debrid-Link'
+    };
+    const providerOptions = Object.keys(PROVIDERS)
+        .map(id => `<option value="${id}">${escapeHtml(providerNames[id] || id)}</option>`)
+        .join('');
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHtml(manifest.name)} - Configure</title>
+    <style>
+        body { font-family: sans-serif; background: #1b1b2f; color: #eee; max-width: 480px; margin: 40px auto; padding: 0 16px; }
+        img { width: 96px; border-radius: 12px; }
+        label { display: block; margin-top: 16px; font-size: 14px; }
+        input, select { width: 100%; box-sizing: border-box; padding: 8px; margin-top: 4px; border-radius: 6px; border: none; }
+        button, a.install { display: inline-block; margin-top: 24px; padding: 10px 18px; border-radius: 6px; border: none; background: #7b5bf5; color: #fff; text-decoration: none; cursor: pointer; }
+        #result { display: none; margin-top: 16px; word-break: break-all; font-size: 13px; }
+    </style>
+</head>
+<body>
+    <img src="${escapeHtml(logoUrl)}" alt="">
+    <h1>${escapeHtml(manifest.name)} <small>v${escapeHtml(manifest.version)}</small></h1>
+    <p>${escapeHtml(manifest.description)}</p>
+    <form id="configure">
+        <label>Debrid provider
+            <select name="provider">${providerOptions}</select>
+        </label>
+        <label>API key
+            <input name="apiKey" type="password" required autocomplete="off">
+        </label>
+        <label>Preferred hosters (comma separated, optional)
+            <input name="preferredHosters" placeholder="1fichier, rapidgator">
+        </label>
+        <label>Blocked hosters (comma separated, optional)
+            <input name="blockedHosters">
+        </label>
+        <button type="submit">Generate install link</button>
+    </form>
+    <div id="result">
+        <a class="install" id="install" href="#">Install in Stremio</a>
+        <p>Or paste this URL in Stremio's addon search:</p>
+        <code id="installUrl"></code>
+    </div>
+    <script>
+        document.getElementById('configure').addEventListener('submit', function (event) {
+            event.preventDefault();
+            var form = event.target;
+            var userConfig = {
+                provider: form.provider.value,
+                apiKey: form.apiKey.value.trim(),
+                preferredHosters: form.preferredHosters.value,
+                blockedHosters: form.blockedHosters.value
+            };
+            var basePath = window.location.pathname.replace(/\\/configure\\/?$/, '');
+            var manifestUrl = window.location.host + basePath + '/' + encodeURIComponent(JSON.stringify(userConfig)) + '/manifest.json';
+            document.getElementById('installUrl').textContent = window.location.protocol + '//' + manifestUrl;
+            document.getElementById('install').href = 'stremio://' + manifestUrl;
+            document.getElementById('result').style.display = 'block';
+        });
+    </script>
+</body>
+</html>`;
+}
+
+module.exports = {
+    USER_CONFIG_FIELDS,
+    parseUserConfig,
+    encodeUserConfig,
+    getRequestConfig,
+    renderConfigurePage,
+    escapeHtml
+};